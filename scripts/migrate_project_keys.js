@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/**
+ * Migrate project data to per-user project identity (userId + id).
+ * - Removes duplicate project documents for the same (userId, id), keeping the latest updatedAt.
+ * - Clears lastAlertState/lastAlertAt on ids shared by several users: the bridge used to write
+ *   them by id alone, so they may belong to another user's tank. The bridge rebuilds them.
+ * - Rewrites device subscriptions (devices.projectId / projectIds) from bare project ids to
+ *   owner-qualified keys (`${ownerId}::${projectId}`): the user's own project if they have one with that
+ *   id, else every project with that id shared with them (what the bare id used to match).
+ * - Creates the unique (userId, id) index on projects.
+ * Usage:
+ *   DRY_RUN=1 node scripts/migrate_project_keys.js
+ *   node scripts/migrate_project_keys.js
+ *
+ * Env required:
+ *   MONGODB_URI (and optional MONGODB_DB)
+ */
+import('./../src/db.js').then(async (m) => {
+  const { getDb, closeDb } = m;
+  const { projectKey } = await import('./../src/projectKey.js');
+  const db = await getDb();
+  const col = db.collection('projects');
+  const dry = process.env.DRY_RUN === '1' || process.env.DRY_RUN === 'true';
+  const tag = dry ? '[DRY_RUN] ' : '';
+
+  const dupGroups = await col.aggregate([
+    { $group: { _id: { userId: '$userId', id: '$id' }, docs: { $push: { _id: '$_id', updatedAt: '$updatedAt' } }, n: { $sum: 1 } } },
+    { $match: { n: { $gt: 1 } } },
+  ]).toArray();
+  let removed = 0;
+  for (const g of dupGroups) {
+    const sorted = g.docs.sort((a, b) => new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0));
+    const extra = sorted.slice(1).map(d => d._id);
+    removed += extra.length;
+    if (!dry) await col.deleteMany({ _id: { $in: extra } });
+  }
+  console.log(`${tag}Duplicate project documents removed: ${removed} (in ${dupGroups.length} groups)`);
+
+  const shared = await col.aggregate([
+    { $group: { _id: '$id', users: { $addToSet: '$userId' } } },
+    { $match: { 'users.1': { $exists: true } } },
+  ]).toArray();
+  const sharedIds = shared.map(s => s._id);
+  if (sharedIds.length) {
+    const filter = { id: { $in: sharedIds }, lastAlertState: { $exists: true } };
+    const count = await col.countDocuments(filter);
+    if (!dry) await col.updateMany(filter, { $unset: { lastAlertState: '', lastAlertAt: '' } });
+    console.log(`${tag}Project ids used by several users: ${sharedIds.length}; alert state reset on ${count} projects`);
+  } else {
+    console.log(`${tag}No project ids shared between users.`);
+  }
+
+  const devices = db.collection('devices');
+  const cursor = devices.find(
+    { $or: [ { projectId: { $type: 'string', $not: /::/ } }, { projectIds: { $elemMatch: { $type: 'string', $not: /::/ } } } ] },
+    { projection: { userId: 1, projectId: 1, projectIds: 1 } }
+  );
+  const keyCache = new Map(); // projectKey(device user, bare id) -> qualified keys
+  const qualify = async (userId, id) => {
+    if (String(id).includes('::')) return [id];
+    const cacheKey = projectKey(userId, id);
+    if (!keyCache.has(cacheKey)) {
+      const own = await col.findOne({ id, userId }, { projection: { _id: 1 } });
+      const owners = own
+        ? [userId]
+        : (await col.find({ id, sharedWith: userId }, { projection: { userId: 1 } }).toArray()).map(p => p.userId);
+      keyCache.set(cacheKey, (owners.length ? owners : [userId]).map(owner => projectKey(owner, id)));
+    }
+    return keyCache.get(cacheKey);
+  };
+  let rewritten = 0;
+  for await (const d of cursor) {
+    const $set = {};
+    if (typeof d.projectId === 'string' && !d.projectId.includes('::')) {
+      // The single legacy field holds one key; extra owners go to projectIds
+      const keys = await qualify(d.userId, d.projectId);
+      $set.projectId = keys[0];
+      if (keys.length > 1) $set.projectIds = keys.slice(1);
+    }
+    if (Array.isArray(d.projectIds)) {
+      const keys = [];
+      for (const id of d.projectIds) keys.push(...await qualify(d.userId, id));
+      $set.projectIds = Array.from(new Set([...keys, ...($set.projectIds || [])]));
+    }
+    rewritten++;
+    if (!dry) await devices.updateOne({ _id: d._id }, { $set });
+  }
+  console.log(`${tag}Device subscriptions qualified with the project owner: ${rewritten} devices`);
+
+  if (!dry) {
+    await col.createIndex({ userId: 1, id: 1 }, { unique: true, name: 'uniq_user_project' });
+    console.log('Unique (userId, id) index ensured on projects.');
+  }
+  await closeDb();
+  process.exit(0);
+}).catch(e => {
+  console.error('Migration failed:', e);
+  process.exit(1);
+});
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+/**
+ * Migrate legacy project sharing (project.sharedWith set through shareWithEmails) to memberships.
+ * - Creates an active 'viewer' membership in projectMembers for every user in sharedWith that has
+ *   none yet, so project.sharedWith keeps the same users once it is derived from memberships.
+ * - Drops sharedWith entries that are not registered users.
+ * Usage:
+ *   DRY_RUN=1 node scripts/migrate_project_members.js
+ *   node scripts/migrate_project_members.js
+ *
+ * Env required:
+ *   MONGODB_URI (and optional MONGODB_DB)
+ */
+import('./../src/db.js').then(async (m) => {
+  const { getDb, closeDb } = m;
+  const { ObjectId } = await import('mongodb');
+  const { syncSharedWith } = await import('./../src/members.js');
+  const db = await getDb();
+  const dry = process.env.DRY_RUN === '1' || process.env.DRY_RUN === 'true';
+  const tag = dry ? '[DRY_RUN] ' : '';
+  const members = db.collection('projectMembers');
+
+  const projects = await db.collection('projects').find({ 'sharedWith.0': { $exists: true } }, { projection: { id: 1, userId: 1, sharedWith: 1 } }).toArray();
+  let created = 0;
+  let unknown = 0;
+  for (const p of projects) {
+    const ids = p.sharedWith.filter(id => id !== p.userId && ObjectId.isValid(id));
+    const users = await db.collection('users').find({ _id: { $in: ids.map(id => new ObjectId(id)) } }, { projection: { email: 1 } }).toArray();
+    unknown += p.sharedWith.length - users.length;
+    for (const u of users) {
+      const filter = { userId: p.userId, projectId: p.id, email: u.email };
+      if (await members.findOne(filter, { projection: { _id: 1 } })) continue;
+      created++;
+      if (!dry) {
+        await members.insertOne({ ...filter, memberUserId: String(u._id), role: 'viewer', status: 'active', invitedBy: p.userId,
+          invitedAt: new Date(), acceptedAt: new Date(), revokedAt: null, revokedBy: null });
+      }
+    }
+    if (!dry) await syncSharedWith(db, p.userId, p.id);
+  }
+  console.log(`${tag}Projects with legacy sharing: ${projects.length}; memberships created: ${created}; unknown users dropped: ${unknown}`);
+  await closeDb();
+  process.exit(0);
+}).catch(e => {
+  console.error('Migration failed:', e);
+  process.exit(1);
+});
@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for a webhook endpoint: prints each delivery and checks its signature.
+ * - Answers 200, or FAIL_STATUS for the first FAIL_FIRST requests (to exercise retries).
+ * Usage:
+ *   WEBHOOK_SECRET=whsec_... node scripts/webhook_receiver.js
+ *   FAIL_FIRST=2 FAIL_STATUS=503 WEBHOOK_SECRET=whsec_... node scripts/webhook_receiver.js
+ * Then register http://localhost:4000/ as the project's webhook url (the API needs WEBHOOK_ALLOWED_HOSTS=localhost).
+ *
+ * Env optional:
+ *   RECEIVER_PORT (default 4000), WEBHOOK_SECRET, FAIL_FIRST (default 0), FAIL_STATUS (default 500)
+ */
+import http from 'node:http';
+import { verifyWebhookSignature } from '../src/webhookSignature.js';
+
+const port = Number(process.env.RECEIVER_PORT || 4000);
+const secret = process.env.WEBHOOK_SECRET || '';
+const failFirst = Number(process.env.FAIL_FIRST || 0);
+const failStatus = Number(process.env.FAIL_STATUS || 500);
+let received = 0;
+
+http.createServer((req, res) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    received++;
+    const ts = req.headers['x-webhook-timestamp'];
+    const sig = req.headers['x-webhook-signature'];
+    const verified = secret ? verifyWebhookSignature(secret, ts, body, sig) : null;
+    console.log(`#${received} ${req.method} ${req.url} event=${req.headers['x-webhook-event']} delivery=${req.headers['x-webhook-delivery']} signature=${verified == null ? 'unchecked (no WEBHOOK_SECRET)' : verified ? 'valid' : 'INVALID'}`);
+    console.log(body);
+    const status = received <= failFirst ? failStatus : (verified === false ? 401 : 200);
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: status === 200 }));
+  });
+}).listen(port, () => console.log(`Webhook receiver listening on http://localhost:${port}/`));
@@ -0,0 +1,172 @@
+// --- Alert engine ---
+// Pure evaluation helpers used by the bridge.
+//
+// Level thresholds: project.alertThresholds is an ordered set like
+//   [{ name: 'lowCritical', direction: 'below', level: 0.2, hysteresisMeters?, notify?, severity? }, ...]
+// Without it, the legacy alertLow/alertHigh pair maps to thresholds named 'low' and 'high'.
+// The alert state is the name of the most extreme active threshold, or 'normal'.
+// A threshold that was active stays active until the level clears it by its hysteresis.
+//
+// Rate-of-change rules: project.rateOfChangeRules like
+//   [{ name: 'leak', direction: 'drop', deltaMeters: 0.1, windowSec: 300, notify?, cooldownSec? }]
+// fire when the level moved by at least deltaMeters within windowSec.
+
+const NAME_RE = /^[A-Za-z][A-Za-z0-9_-]{0,31}$/;
+const MAX_THRESHOLDS = 8;
+const MAX_RATE_RULES = 8;
+const MAX_RATE_WINDOW_SEC = 24 * 3600;
+
+const TITLES = {
+  low: 'Low level alert',
+  high: 'High level alert',
+  lowWarning: 'Low level warning',
+  lowCritical: 'Low level critical',
+  highWarning: 'High level warning',
+  highCritical: 'High level critical',
+  normal: 'Level back to normal',
+};
+
+export function stateTitle(state) {
+  return TITLES[state] || `${state} alert`;
+}
+
+// Returns { thresholds } (sorted: below by descending level, above by ascending) or { error }.
+export function normalizeThresholds(input) {
+  if (input == null) return { thresholds: null };
+  if (!Array.isArray(input)) return { error: 'alertThresholds must be an array' };
+  if (input.length > MAX_THRESHOLDS) return { error: `at most ${MAX_THRESHOLDS} alertThresholds` };
+  const names = new Set();
+  const thresholds = [];
+  for (let i = 0; i < input.length; i++) {
+    const t = input[i] || {};
+    const label = `alertThresholds[${i}]`;
+    if (typeof t.name !== 'string' || !NAME_RE.test(t.name) || t.name === 'normal') return { error: `${label}.name must be an identifier other than "normal"` };
+    if (names.has(t.name)) return { error: `${label}.name "${t.name}" is duplicated` };
+    names.add(t.name);
+    if (t.direction !== 'below' && t.direction !== 'above') return { error: `${label}.direction must be "below" or "above"` };
+    if (typeof t.level !== 'number' || !Number.isFinite(t.level)) return { error: `${label}.level must be a number` };
+    if (t.hysteresisMeters != null && !(typeof t.hysteresisMeters === 'number' && t.hysteresisMeters >= 0)) return { error: `${label}.hysteresisMeters must be >= 0` };
+    if (t.severity != null && t.severity !== 'warning' && t.severity !== 'critical') return { error: `${label}.severity must be "warning" or "critical"` };
+    thresholds.push({
+      name: t.name,
+      direction: t.direction,
+      level: t.level,
+      hysteresisMeters: t.hysteresisMeters ?? null,
+      notify: t.notify !== false,
+      severity: t.severity || null,
+    });
+  }
+  const below = thresholds.filter(t => t.direction === 'below').sort((a, b) => b.level - a.level);
+  const above = thresholds.filter(t => t.direction === 'above').sort((a, b) => a.level - b.level);
+  if (below.length && above.length && below[0].level >= above[0].level) {
+    return { error: 'below thresholds must all be lower than above thresholds' };
+  }
+  return { thresholds: [...below, ...above] };
+}
+
+// Returns { rules } or { error }.
+export function normalizeRateRules(input) {
+  if (input == null) return { rules: null };
+  if (!Array.isArray(input)) return { error: 'rateOfChangeRules must be an array' };
+  if (input.length > MAX_RATE_RULES) return { error: `at most ${MAX_RATE_RULES} rateOfChangeRules` };
+  const names = new Set();
+  const rules = [];
+  for (let i = 0; i < input.length; i++) {
+    const r = input[i] || {};
+    const label = `rateOfChangeRules[${i}]`;
+    if (typeof r.name !== 'string' || !NAME_RE.test(r.name)) return { error: `${label}.name must be an identifier` };
+    if (names.has(r.name)) return { error: `${label}.name "${r.name}" is duplicated` };
+    names.add(r.name);
+    if (r.direction !== 'drop' && r.direction !== 'rise') return { error: `${label}.direction must be "drop" or "rise"` };
+    if (!(typeof r.deltaMeters === 'number' && r.deltaMeters > 0)) return { error: `${label}.deltaMeters must be > 0` };
+    if (!(typeof r.windowSec === 'number' && r.windowSec > 0 && r.windowSec <= MAX_RATE_WINDOW_SEC)) {
+      return { error: `${label}.windowSec must be between 1 and ${MAX_RATE_WINDOW_SEC}` };
+    }
+    if (r.cooldownSec != null && !(typeof r.cooldownSec === 'number' && r.cooldownSec >= 0)) return { error: `${label}.cooldownSec must be >= 0` };
+    rules.push({ name: r.name, direction: r.direction, deltaMeters: r.deltaMeters, windowSec: r.windowSec, notify: r.notify !== false, cooldownSec: r.cooldownSec ?? null });
+  }
+  return { rules };
+}
+
+// Thresholds in effect for a project (explicit set, else legacy alertLow/alertHigh).
+export function effectiveThresholds(project) {
+  if (Array.isArray(project?.alertThresholds) && project.alertThresholds.length) return project.alertThresholds;
+  const out = [];
+  if (typeof project?.alertLow === 'number') out.push({ name: 'low', direction: 'below', level: project.alertLow, hysteresisMeters: null, notify: true, severity: null });
+  if (typeof project?.alertHigh === 'number') out.push({ name: 'high', direction: 'above', level: project.alertHigh, hysteresisMeters: null, notify: true, severity: null });
+  return out;
+}
+
+export function isKnownState(state, thresholds) {
+  return state === 'normal' || thresholds.some(t => t.name === state);
+}
+
+// Thresholds implied active by a state: the state's threshold and the less extreme ones on its side.
+function activeSet(state, thresholds) {
+  const cur = thresholds.find(t => t.name === state);
+  if (!cur) return new Set();
+  return new Set(thresholds
+    .filter(t => t.direction === cur.direction && (cur.direction === 'below' ? t.level >= cur.level : t.level <= cur.level))
+    .map(t => t.name));
+}
+
+// Next state for value v. defaultHysteresis applies to thresholds without their own.
+export function evaluateThresholdState(v, prevState, thresholds, defaultHysteresis = 0) {
+  const wasActive = activeSet(prevState, thresholds);
+  let best = null;
+  for (const t of thresholds) {
+    const hyst = t.hysteresisMeters != null ? t.hysteresisMeters : defaultHysteresis;
+    const held = wasActive.has(t.name) && hyst > 0;
+    const active = t.direction === 'below'
+      ? (v < t.level || (held && v < t.level + hyst))
+      : (v > t.level || (held && v > t.level - hyst));
+    if (!active) continue;
+    if (!best) { best = t; continue; }
+    // Prefer critical severity, then the more extreme level
+    const rank = (x) => (x.severity === 'critical' ? 1 : 0);
+    if (rank(t) > rank(best)) best = t;
+    else if (rank(t) === rank(best) && t.direction === best.direction
+      && (t.direction === 'below' ? t.level < best.level : t.level > best.level)) best = t;
+  }
+  return best ? best.name : 'normal';
+}
+
+// Most extreme active threshold is more severe than the previous one (e.g. warning -> critical)
+export function isWorsening(prevState, nextState, thresholds) {
+  if (nextState === 'normal') return false;
+  if (prevState === 'normal') return true;
+  const prev = thresholds.find(t => t.name === prevState);
+  const next = thresholds.find(t => t.name === nextState);
+  if (!prev || !next) return true;
+  if (prev.direction !== next.direction) return true;
+  return next.direction === 'below' ? next.level < prev.level : next.level > prev.level;
+}
+
+// window: [{ ts (ms), v }] oldest first, already including the current sample.
+// Returns [{ rule, deltaMeters, fromValue }] for rules that fire and are out of cooldown.
+export function evaluateRateRules(window, rules, nowTs, lastFired = new Map(), defaultCooldownSec = 0) {
+  const fired = [];
+  if (!rules?.length || window.length < 2) return fired;
+  const current = window[window.length - 1].v;
+  for (const rule of rules) {
+    const since = nowTs - rule.windowSec * 1000;
+    let extreme = null;
+    for (const s of window) {
+      if (s.ts < since) continue;
+      if (extreme == null) extreme = s.v;
+      else extreme = rule.direction === 'drop' ? Math.max(extreme, s.v) : Math.min(extreme, s.v);
+    }
+    if (extreme == null) continue;
+    const delta = rule.direction === 'drop' ? extreme - current : current - extreme;
+    if (delta < rule.deltaMeters) continue;
+    const cooldownMs = (rule.cooldownSec != null ? rule.cooldownSec : defaultCooldownSec) * 1000;
+    const last = lastFired.get(rule.name) || 0;
+    if (nowTs - last < cooldownMs) continue;
+    fired.push({ rule, deltaMeters: delta, fromValue: extreme });
+  }
+  return fired;
+}
+
+export function maxRateWindowSec(rules) {
+  return (rules || []).reduce((m, r) => Math.max(m, r.windowSec), 0);
+}
@@ -0,0 +1,88 @@
+// --- Alert event history ---
+// Every alert state transition the bridge makes is stored in `alertEvents`:
+// { kind: 'level', projectId, userId, from, to, levelMeters, alertLow, alertHigh, threshold,
+//   hysteresisMeters, ts, pushSent, tokensNotified, tokensInvalid, createdAt }
+// Rate-of-change rule hits are stored as kind: 'rate' (with rule and deltaMeters); they do
+// not change state, so they are counted separately in the summary. Sensor connectivity
+// changes (online/offline/stale) are kind: 'connectivity' and "predicted low" notifications
+// are kind: 'forecast' (with hoursToLow and lowAt); both are also kept out of the level state timeline.
+
+export async function recordAlertEvent(db, event) {
+  try {
+    const doc = { ...event, createdAt: new Date() };
+    const res = await db.collection('alertEvents').insertOne(doc);
+    return { ...doc, _id: res.insertedId };
+  } catch (e) {
+    console.error('Alert event insert error', e?.message || e);
+    return null;
+  }
+}
+
+const NON_LEVEL_KINDS = ['rate', 'connectivity', 'forecast'];
+
+function tsFilter(from, to) {
+  if (!from && !to) return null;
+  const f = {};
+  if (from) f.$gte = from;
+  if (to) f.$lte = to;
+  return f;
+}
+
+export async function listAlertEvents(db, { projectId, userId, from, to, kind, limit, offset }) {
+  const q = { projectId, userId };
+  if (NON_LEVEL_KINDS.includes(kind)) q.kind = kind;
+  else if (kind === 'level') q.kind = { $nin: NON_LEVEL_KINDS };
+  const range = tsFilter(from, to);
+  if (range) q.ts = range;
+  const col = db.collection('alertEvents');
+  const [items, total] = await Promise.all([
+    col.find(q).sort({ ts: -1, _id: -1 }).skip(offset).limit(limit).toArray(),
+    col.countDocuments(q),
+  ]);
+  return { items, total };
+}
+
+// Transition counts per target state, pushes sent, and seconds spent in each state over
+// [from, to]. The state at `from` is taken from the last event before it ('normal' if none).
+export async function summarizeAlertEvents(db, { projectId, userId, from, to }) {
+  const col = db.collection('alertEvents');
+  const end = to || new Date();
+  const start = from || null;
+  const levelOnly = { projectId, userId, kind: { $nin: NON_LEVEL_KINDS } };
+  const before = start
+    ? await col.find({ ...levelOnly, ts: { $lt: start } }).sort({ ts: -1, _id: -1 }).limit(1).next()
+    : null;
+  const range = tsFilter(start, end);
+  const events = await col.find({ ...levelOnly, ...(range ? { ts: range } : {}) }).sort({ ts: 1, _id: 1 }).toArray();
+  const rateEvents = await col.find({ projectId, userId, kind: 'rate', ...(range ? { ts: range } : {}) }, { projection: { rule: 1, pushSent: 1 } }).toArray();
+  const connectivityEvents = await col.find({ projectId, userId, kind: 'connectivity', ...(range ? { ts: range } : {}) }, { projection: { to: 1, pushSent: 1 } }).toArray();
+  const forecastEvents = await col.find({ projectId, userId, kind: 'forecast', ...(range ? { ts: range } : {}) }, { projection: { pushSent: 1 } }).toArray();
+
+  const counts = {};
+  const durationsSec = {};
+  let pushesSent = 0;
+  let state = before?.to || events[0]?.from || 'normal';
+  let cursor = start || events[0]?.ts || end;
+  for (const ev of events) {
+    counts[ev.to] = (counts[ev.to] || 0) + 1;
+    if (ev.pushSent) pushesSent++;
+    const evTs = new Date(ev.ts);
+    durationsSec[state] = (durationsSec[state] || 0) + Math.max(0, (evTs - cursor) / 1000);
+    state = ev.to;
+    cursor = evTs;
+  }
+  durationsSec[state] = (durationsSec[state] || 0) + Math.max(0, (end - cursor) / 1000);
+  const rateCounts = {};
+  for (const ev of rateEvents) {
+    const name = ev.rule?.name || 'unknown';
+    rateCounts[name] = (rateCounts[name] || 0) + 1;
+    if (ev.pushSent) pushesSent++;
+  }
+  const connectivityCounts = {};
+  for (const ev of connectivityEvents) {
+    connectivityCounts[ev.to] = (connectivityCounts[ev.to] || 0) + 1;
+    if (ev.pushSent) pushesSent++;
+  }
+  for (const ev of forecastEvents) if (ev.pushSent) pushesSent++;
+  return { from: start, to: end, transitions: events.length, counts, rateCounts, connectivityCounts, forecastAlerts: forecastEvents.length, pushesSent, durationsSec, currentState: state };
+}
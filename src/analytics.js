@@ -0,0 +1,234 @@
+import crypto from 'node:crypto';
+import { computeVolume } from './tankGeometry.js';
+import { zonedParts } from './readings.js';
+
+// --- Consumption & refill analytics ---
+// Derived from stored readings, per calendar day in a time zone:
+//   consumption  - sum of level drops (liters when the project has geometry or a strapping table,
+//                  else meters), ignoring changes within the noise band
+//   refills      - rising runs adding at least refillMinMeters: { start, end, volumeAdded, fromLevel, toLevel }
+//   hourly       - consumption per hour of day (averaged over days with data in the response)
+// Complete days are cached in `analyticsDaily`, keyed by project, tz and a fingerprint of the
+// geometry/settings, so repeated calls only recompute the recent, incomplete days.
+
+const DAY_MS = 86400000;
+const MARGIN_MS = 12 * 3600000; // context before/after a day so runs crossing midnight are complete
+const MAX_GAP_MS = 2 * 3600000; // a refill ends when the level stops rising for this long
+export const MAX_ANALYTICS_DAYS = 366;
+
+export function analyticsSettings(project) {
+  return {
+    noiseMeters: Number.isFinite(project?.noiseDeadbandMeters) && project.noiseDeadbandMeters > 0 ? project.noiseDeadbandMeters : 0.01,
+    refillMinMeters: Number.isFinite(project?.refillMinMeters) && project.refillMinMeters > 0 ? project.refillMinMeters : 0.05,
+  };
+}
+
+// Changes when anything affecting the numbers changes; cached days with another fingerprint are recomputed
+export function analyticsFingerprint(project) {
+  const relevant = {
+    settings: analyticsSettings(project),
+    tankType: project?.tankType ?? null,
+    dims: ['height', 'diameter', 'length', 'width', 'wallThickness', 'connectedTankCount'].map(k => project?.[k] ?? null),
+    calibration: project?.calibration?.points ?? null,
+  };
+  return crypto.createHash('sha1').update(JSON.stringify(relevant)).digest('hex').slice(0, 16);
+}
+
+export function dayOf(date, tz) {
+  const p = zonedParts(date, tz);
+  return `${p.year}-${p.month}-${p.day}`;
+}
+
+// First instant of a calendar day ('YYYY-MM-DD') in tz
+export function zonedDayStart(day, tz) {
+  const [y, m, d] = day.split('-').map(Number);
+  const wall = Date.UTC(y, m - 1, d);
+  let t = wall;
+  for (let i = 0; i < 2; i++) t = wall - zonedParts(new Date(t), tz).offsetMin * 60000;
+  return new Date(t);
+}
+
+export function nextDay(day) {
+  const [y, m, d] = day.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + 1)).toISOString().slice(0, 10);
+}
+
+export function daysBetween(fromDay, toDay) {
+  const out = [];
+  for (let d = fromDay; d <= toDay && out.length <= MAX_ANALYTICS_DAYS; d = nextDay(d)) out.push(d);
+  return out;
+}
+
+function emptyDay(day) {
+  return { day, consumption: 0, refillVolume: 0, refills: [], hourly: new Array(24).fill(0), samples: 0 };
+}
+
+// Incremental analyzer: push({ ts: Date, levelMeters }) in ts order, then finish() -> Map day -> summary
+export function createAnalyzer({ tz, noiseMeters, refillMinMeters, toQty }) {
+  const days = new Map();
+  // Day/hour only change on 15-minute boundaries (all UTC offsets are multiples of 15 min)
+  let slot = null;
+  let slotParts = null;
+  const partsOf = (date) => {
+    const key = Math.floor(date.getTime() / 900000);
+    if (key !== slot) {
+      const p = zonedParts(date, tz);
+      slot = key;
+      slotParts = { day: `${p.year}-${p.month}-${p.day}`, hour: Number(p.hour) };
+    }
+    return slotParts;
+  };
+  const dayFor = (date) => {
+    const { day } = partsOf(date);
+    if (!days.has(day)) days.set(day, emptyDay(day));
+    return days.get(day);
+  };
+  const addConsumption = (date, amount) => {
+    const d = dayFor(date);
+    d.consumption += amount;
+    d.hourly[partsOf(date).hour] += amount;
+  };
+  let ref = null; // last level outside the noise band: { ts, v }
+  let run = null; // rising run: { start, startV, end, endV }
+  const closeRun = () => {
+    const rise = run.endV - run.startV;
+    const added = toQty(run.endV) - toQty(run.startV);
+    if (rise >= refillMinMeters) {
+      const d = dayFor(run.start);
+      d.refills.push({ start: run.start, end: run.end, volumeAdded: added, fromLevel: run.startV, toLevel: run.endV });
+      d.refillVolume += added;
+    } else {
+      addConsumption(run.end, -added); // small rise (sloshing, temperature): offsets consumption
+    }
+    run = null;
+  };
+  return {
+    push(s) {
+      const v = s.levelMeters;
+      if (!Number.isFinite(v)) return;
+      dayFor(s.ts).samples++;
+      if (!ref) { ref = { ts: s.ts, v }; return; }
+      if (run && s.ts - run.end > MAX_GAP_MS) closeRun();
+      const delta = v - ref.v;
+      if (delta > noiseMeters) {
+        if (!run) run = { start: ref.ts, startV: ref.v, end: s.ts, endV: v };
+        else { run.end = s.ts; run.endV = v; }
+        ref = { ts: s.ts, v };
+      } else if (delta < -noiseMeters) {
+        if (run) closeRun();
+        addConsumption(s.ts, toQty(ref.v) - toQty(v));
+        ref = { ts: s.ts, v };
+      }
+    },
+    finish() {
+      if (run) closeRun();
+      for (const d of days.values()) {
+        d.consumption = Math.max(0, d.consumption);
+        d.hourly = d.hourly.map(x => Math.max(0, x));
+      }
+      return days;
+    },
+  };
+}
+
+function round(x, digits) {
+  const f = 10 ** digits;
+  return Math.round(x * f) / f;
+}
+
+// Response for [fromDay, toDay]: daily rows, refill list, hourly averages and totals
+export function summarizeDays(dayRows, { unit, tz }) {
+  const digits = unit === 'L' ? 1 : 4;
+  const withData = dayRows.filter(d => d.samples > 0);
+  const hourlyAverage = new Array(24).fill(0);
+  for (const d of withData) d.hourly.forEach((x, h) => { hourlyAverage[h] += x; });
+  const totals = { consumption: 0, refillVolume: 0, refills: 0 };
+  const refills = [];
+  for (const d of dayRows) {
+    totals.consumption += d.consumption;
+    totals.refillVolume += d.refillVolume;
+    totals.refills += d.refills.length;
+    refills.push(...d.refills.map(r => ({ ...r, volumeAdded: round(r.volumeAdded, digits) })));
+  }
+  return {
+    unit,
+    tz,
+    daily: dayRows.map(d => ({ day: d.day, consumption: round(d.consumption, digits), refillVolume: round(d.refillVolume, digits), refills: d.refills.length, samples: d.samples })),
+    refills,
+    hourlyAverage: hourlyAverage.map(x => round(withData.length ? x / withData.length : 0, digits)),
+    totals: {
+      consumption: round(totals.consumption, digits),
+      refillVolume: round(totals.refillVolume, digits),
+      refills: totals.refills,
+      daysWithData: withData.length,
+      avgDailyConsumption: round(withData.length ? totals.consumption / withData.length : 0, digits),
+    },
+  };
+}
+
+// project: projects document. Returns the summary for whole days fromDay..toDay in tz.
+export async function projectAnalytics(db, project, { fromDay, toDay, tz, refresh = false, now = new Date() }) {
+  const col = db.collection('analyticsDaily');
+  const userId = project.userId;
+  const projectId = project.id;
+  const fingerprint = analyticsFingerprint(project);
+  const unit = computeVolume(project, 0) ? 'L' : 'm';
+  const toQty = unit === 'L' ? (v) => computeVolume(project, v)?.liquidLiters ?? 0 : (v) => v;
+  const days = daysBetween(fromDay, toDay);
+
+  const cached = new Map();
+  if (!refresh) {
+    const docs = await col.find({ userId, projectId, tz, fingerprint, day: { $in: days } }).toArray();
+    for (const d of docs) cached.set(d.day, d);
+  }
+  const firstMissing = days.find(d => !cached.has(d));
+  if (firstMissing) {
+    const start = zonedDayStart(firstMissing, tz);
+    const end = new Date(Math.min(zonedDayStart(nextDay(toDay), tz).getTime() + MARGIN_MS, now.getTime()));
+    const analyzer = createAnalyzer({ tz, ...analyticsSettings(project), toQty });
+    const cursor = db.collection('readings')
+      .find({ userId, projectId, ts: { $gte: new Date(start.getTime() - MARGIN_MS), $lt: end } }, { projection: { _id: 0, ts: 1, levelMeters: 1 } })
+      .sort({ ts: 1 });
+    for await (const r of cursor) analyzer.push(r);
+    const computed = analyzer.finish();
+    const writes = [];
+    for (const day of days) {
+      if (day < firstMissing) continue;
+      const row = computed.get(day) || emptyDay(day);
+      cached.set(day, row);
+      // Cache only days whose runs can no longer change
+      const complete = zonedDayStart(nextDay(day), tz).getTime() + MARGIN_MS <= now.getTime();
+      if (complete) {
+        writes.push({ updateOne: {
+          filter: { userId, projectId, tz, day },
+          update: { $set: { ...row, fingerprint, unit, computedAt: now } },
+          upsert: true,
+        } });
+      }
+    }
+    if (writes.length) await col.bulkWrite(writes, { ordered: false });
+  }
+  return summarizeDays(days.map(d => cached.get(d)), { unit, tz });
+}
+
+// Drops cached days touched by readings written after the fact (batch uploads, ingest, late POSTs)
+export async function invalidateAnalytics(db, userId, projectId, fromTs, toTs = fromTs) {
+  try {
+    const from = new Date(fromTs.getTime() - DAY_MS - MARGIN_MS).toISOString().slice(0, 10);
+    const to = new Date(toTs.getTime() + DAY_MS + MARGIN_MS).toISOString().slice(0, 10);
+    await db.collection('analyticsDaily').deleteMany({ userId, projectId, day: { $gte: from, $lte: to } });
+  } catch (e) {
+    console.warn('Analytics cache invalidation failed', e?.message || e);
+  }
+}
+
+// results: insertReadingsBatch results; invalidates per project over the inserted ts range
+export async function invalidateAnalyticsForBatch(db, userId, results) {
+  const ranges = new Map(); // projectId -> [min, max]
+  for (const r of results) {
+    if (r?.status !== 'inserted') continue;
+    const cur = ranges.get(r.projectId);
+    ranges.set(r.projectId, cur ? [r.ts < cur[0] ? r.ts : cur[0], r.ts > cur[1] ? r.ts : cur[1]] : [r.ts, r.ts]);
+  }
+  for (const [projectId, [from, to]] of ranges) await invalidateAnalytics(db, userId, projectId, from, to);
+}
@@ -0,0 +1,77 @@
+// --- Automatic pump control ---
+// With project.autoControl the bridge drives the pump through the control topic (see control.js):
+// ON when the level drops below minThreshold - autoControlHysteresisMeters, OFF when it rises
+// above maxThreshold + autoControlHysteresisMeters. autoControlPaused: true pauses automatic
+// switching without clearing these settings.
+//   autoControlMinDwellSec (default 60): minimum time between two switches
+//   autoControlMaxRunSec (default 3600 with autoControl, even while paused, else none; 0 = no limit):
+//     safety cutoff, also for runs started by a user command; the pump then stays off until a user
+//     sends a command
+//   autoControlOverrideSec (default 1800): automatic switching pauses this long after a user command
+// State per project: { pump: 'on' | 'off' | null, changedAt, overrideUntil, lockedOut } (ms).
+
+export const AUTO_CONTROL_RETRY_MS = 30000; // wait after a command the broker did not ack
+
+export function autoControlSettings(project) {
+  const num = (v, d) => (Number.isFinite(v) && v >= 0 ? Number(v) : d);
+  const enabled = project?.autoControl === true && project?.autoControlPaused !== true;
+  return {
+    enabled,
+    min: typeof project?.minThreshold === 'number' ? project.minThreshold : null,
+    max: typeof project?.maxThreshold === 'number' ? project.maxThreshold : null,
+    hysteresis: num(project?.autoControlHysteresisMeters, 0),
+    minDwellSec: num(project?.autoControlMinDwellSec, 60),
+    maxRunSec: num(project?.autoControlMaxRunSec, project?.autoControl === true ? 3600 : 0),
+    overrideSec: num(project?.autoControlOverrideSec, 1800),
+    notify: project?.autoControlNotify === true,
+  };
+}
+
+function canControl(project) {
+  return project?.useControlButton === true && !!project.controlTopic;
+}
+
+// Usable when enabled with minThreshold < maxThreshold and a control topic
+export function autoControlReady(project, settings = autoControlSettings(project)) {
+  return settings.enabled && settings.min != null && settings.max != null && settings.min < settings.max
+    && canControl(project);
+}
+
+// The max run-time cutoff only needs a control topic and a limit, so it also guards manual runs
+export function maxRunCutoffReady(project, settings = autoControlSettings(project)) {
+  return settings.maxRunSec > 0 && canControl(project);
+}
+
+// Validates the autoControl* fields of a POST /projects body. Returns an error string or null.
+export function validateAutoControl(body) {
+  if (body.autoControlPaused != null && typeof body.autoControlPaused !== 'boolean') return 'autoControlPaused must be a boolean';
+  for (const k of ['autoControlHysteresisMeters', 'autoControlMinDwellSec', 'autoControlMaxRunSec', 'autoControlOverrideSec']) {
+    if (body[k] != null && !(typeof body[k] === 'number' && body[k] >= 0)) return `${k} must be a number >= 0`;
+  }
+  if (body.autoControl === true && typeof body.minThreshold === 'number' && typeof body.maxThreshold === 'number'
+    && body.minThreshold >= body.maxThreshold) {
+    return 'minThreshold must be lower than maxThreshold for autoControl';
+  }
+  return null;
+}
+
+export function createAutoControlState() {
+  return { pump: null, changedAt: 0, overrideUntil: 0, lockedOut: false, retryAt: 0, inFlight: false };
+}
+
+// Returns { action: 'on' | 'off', reason: 'low' | 'high' | 'maxRun' } or null.
+// With automatic: false only the max run-time cutoff is considered.
+export function decidePumpAction(state, v, settings, nowMs, { automatic = true } = {}) {
+  if (state.inFlight || nowMs < state.retryAt) return null;
+  // The safety cutoff applies to manual runs too
+  if (state.pump === 'on' && settings.maxRunSec > 0 && nowMs - state.changedAt >= settings.maxRunSec * 1000) {
+    return { action: 'off', reason: 'maxRun' };
+  }
+  if (!automatic) return null;
+  if (nowMs < state.overrideUntil) return null;
+  if (state.lockedOut) return null;
+  if (state.pump != null && nowMs - state.changedAt < settings.minDwellSec * 1000) return null;
+  if (v < settings.min - settings.hysteresis && state.pump !== 'on') return { action: 'on', reason: 'low' };
+  if (v > settings.max + settings.hysteresis && state.pump !== 'off') return { action: 'off', reason: 'high' };
+  return null;
+}
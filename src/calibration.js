@@ -0,0 +1,90 @@
+// --- Strapping tables (level -> volume calibration curves) ---
+// A project may carry calibration.points = [{ levelMeters, liters }, ...] sorted by level.
+// Volumes are linearly interpolated between points; the table describes the whole
+// installation, so connectedTankCount is not applied on top of it.
+
+const MAX_POINTS = 2000;
+const HEIGHT_TOLERANCE_M = 0.001;
+
+function toNum(v) {
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+  if (typeof v === 'string' && v.trim().length) {
+    const n = Number(v.trim());
+    return Number.isFinite(n) ? n : null;
+  }
+  return null;
+}
+
+// Accepts [{ levelMeters|level, liters|volumeLiters }] or [[level, liters]] (or { points: [...] }).
+// Returns { points } or { error }.
+export function pointsFromJson(body) {
+  const list = Array.isArray(body) ? body : body?.points;
+  if (!Array.isArray(list)) return { error: 'points array required' };
+  const points = [];
+  for (let i = 0; i < list.length; i++) {
+    const item = list[i];
+    const level = toNum(Array.isArray(item) ? item[0] : (item?.levelMeters ?? item?.level));
+    const liters = toNum(Array.isArray(item) ? item[1] : (item?.liters ?? item?.volumeLiters));
+    if (level == null || liters == null) return { error: `point ${i + 1}: numeric level and liters required` };
+    points.push({ levelMeters: level, liters });
+  }
+  return { points };
+}
+
+// Two columns (level meters, liters) separated by comma, semicolon or tab; optional header row.
+export function pointsFromCsv(text) {
+  if (typeof text !== 'string' || !text.trim().length) return { error: 'CSV body is empty' };
+  const points = [];
+  let headerSkipped = false;
+  const lines = text.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line.length || line.startsWith('#')) continue;
+    const cols = line.split(/[,;\t]/).map(c => c.trim());
+    const level = toNum(cols[0]);
+    const liters = toNum(cols[1]);
+    if (level == null || liters == null) {
+      if (!points.length && !headerSkipped) { headerSkipped = true; continue; }
+      return { error: `line ${i + 1}: expected "level,liters"` };
+    }
+    points.push({ levelMeters: level, liters });
+  }
+  return { points };
+}
+
+// Returns null when valid, otherwise an error message.
+export function validateCalibration(points, tankHeight) {
+  if (!Array.isArray(points) || points.length < 2) return 'at least 2 points required';
+  if (points.length > MAX_POINTS) return `at most ${MAX_POINTS} points allowed`;
+  for (let i = 0; i < points.length; i++) {
+    const p = points[i];
+    if (p.levelMeters < 0 || p.liters < 0) return `point ${i + 1}: level and liters must be >= 0`;
+    if (i > 0) {
+      if (p.levelMeters <= points[i - 1].levelMeters) return `point ${i + 1}: levels must be strictly increasing`;
+      if (p.liters < points[i - 1].liters) return `point ${i + 1}: liters must not decrease as level rises`;
+    }
+  }
+  if (points[0].levelMeters > HEIGHT_TOLERANCE_M) return 'table must start at level 0';
+  if (!(typeof tankHeight === 'number' && tankHeight > 0)) return 'project tank height is required to validate coverage';
+  const top = points[points.length - 1].levelMeters;
+  if (top < tankHeight - HEIGHT_TOLERANCE_M) return `table ends at ${top} m but tank height is ${tankHeight} m`;
+  return null;
+}
+
+export function interpolateLiters(points, levelMeters) {
+  if (!Array.isArray(points) || points.length < 2 || !Number.isFinite(levelMeters)) return null;
+  if (levelMeters <= points[0].levelMeters) return points[0].liters;
+  const last = points[points.length - 1];
+  if (levelMeters >= last.levelMeters) return last.liters;
+  // Binary search for the segment containing levelMeters
+  let lo = 0;
+  let hi = points.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid].levelMeters <= levelMeters) lo = mid; else hi = mid;
+  }
+  const a = points[lo];
+  const b = points[hi];
+  const t = (levelMeters - a.levelMeters) / (b.levelMeters - a.levelMeters);
+  return a.liters + t * (b.liters - a.liters);
+}
@@ -0,0 +1,44 @@
+// --- Remote control ---
+// Commands are published by the bridge on project.controlTopic with the project's onValue/offValue,
+// controlQos (0, 1 or 2) and controlRetained. Every command, accepted or not, is written to
+// `controlCommands`: { userId (owner), projectId, action, topic, payload, qos, retain, source,
+//   issuedBy, status: 'acked' | 'timeout' | 'error' | 'rejected', error, requestedAt, ackedAt, latencyMs }
+
+export const CONTROL_ACTIONS = ['on', 'off'];
+
+export function normalizeQos(qos) {
+  const n = Number(qos);
+  return n === 1 || n === 2 ? n : 0;
+}
+
+// Returns { topic, payload, qos, retain } or { error } for a project document or bridge config
+export function controlMessage(project, action) {
+  if (!CONTROL_ACTIONS.includes(action)) return { error: `action must be one of ${CONTROL_ACTIONS.join(', ')}` };
+  if (project?.useControlButton !== true) return { error: 'control is not enabled for this project (useControlButton)' };
+  if (!project.controlTopic) return { error: 'project has no controlTopic' };
+  const payload = action === 'on'
+    ? (typeof project.onValue === 'string' ? project.onValue : 'ON')
+    : (typeof project.offValue === 'string' ? project.offValue : 'OFF');
+  return { topic: project.controlTopic, payload, qos: normalizeQos(project.controlQos), retain: project.controlRetained === true };
+}
+
+export async function recordControlCommand(db, doc) {
+  try {
+    const full = { ...doc, createdAt: new Date() };
+    const res = await db.collection('controlCommands').insertOne(full);
+    return { ...full, _id: res.insertedId };
+  } catch (e) {
+    console.error('Control audit insert error', e?.message || e);
+    return null;
+  }
+}
+
+export async function listControlCommands(db, { projectId, userId, limit, offset }) {
+  const q = { projectId, userId };
+  const col = db.collection('controlCommands');
+  const [items, total] = await Promise.all([
+    col.find(q).sort({ requestedAt: -1, _id: -1 }).skip(offset).limit(limit).toArray(),
+    col.countDocuments(q),
+  ]);
+  return { items, total };
+}
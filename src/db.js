@@ -56,6 +56,44 @@ export async function initDb() {
   const readings = db.collection('readings');
   // Index for fast range queries by project and timestamp (desc)
   await readings.createIndex({ projectId: 1, ts: -1 });
+  // Unique reading per (user, project, ts) so retried batch uploads dedupe.
+  // Fails (warning only) if legacy data already holds duplicates.
+  try {
+    await readings.createIndex({ userId: 1, projectId: 1, ts: 1 }, { unique: true, name: 'uniq_user_project_ts' });
+  } catch (e) {
+    console.warn('Readings unique index warning:', e?.message || e);
+  }
+  // Project ids are unique per user only. Run `npm run migrate:project-keys` if this warns.
+  try {
+    await db.collection('projects').createIndex({ userId: 1, id: 1 }, { unique: true, name: 'uniq_user_project' });
+  } catch (e) {
+    console.warn('Projects unique index warning:', e?.message || e);
+  }
+  await db.collection('alertEvents').createIndex({ userId: 1, projectId: 1, ts: -1 });
+  await db.collection('alertEvents').createIndex({ active: 1, nextNotifyAt: 1 });
+  const deviceKeys = db.collection('deviceKeys');
+  await deviceKeys.createIndex({ hash: 1 }, { unique: true });
+  await deviceKeys.createIndex({ userId: 1, projectId: 1 });
+  await db.collection('analyticsDaily').createIndex({ userId: 1, projectId: 1, tz: 1, day: 1 }, { unique: true });
+  await db.collection('controlCommands').createIndex({ userId: 1, projectId: 1, requestedAt: -1 });
+  const members = db.collection('projectMembers');
+  await members.createIndex({ userId: 1, projectId: 1, email: 1 }, { unique: true });
+  await members.createIndex({ email: 1, status: 1 });
+  await members.createIndex({ memberUserId: 1, status: 1 });
+  await db.collection('webhooks').createIndex({ userId: 1, projectId: 1 });
+  await db.collection('webhooks').createIndex({ webhookId: 1 }, { unique: true });
+  const deliveries = db.collection('webhookDeliveries');
+  await deliveries.createIndex({ userId: 1, webhookId: 1, createdAt: -1 });
+  await deliveries.createIndex({ status: 1, nextAttemptAt: 1 });
+  // Delivery log retention (days), WEBHOOK_LOG_TTL_DAYS (default 30, 0 keeps forever)
+  const logTtlDays = Number(process.env.WEBHOOK_LOG_TTL_DAYS ?? 30);
+  if (logTtlDays > 0) {
+    try {
+      await deliveries.createIndex({ createdAt: 1 }, { expireAfterSeconds: Math.floor(logTtlDays * 86400), name: 'webhook_log_ttl' });
+    } catch (e) {
+      console.warn('Webhook log TTL index warning:', e?.message || e);
+    }
+  }
   // Optional TTL retention (days) via env var READINGS_TTL_DAYS
   const ttlDays = Number(process.env.READINGS_TTL_DAYS || 0);
   if (ttlDays > 0) {
@@ -0,0 +1,42 @@
+import crypto from 'node:crypto';
+
+// --- Device API keys ---
+// Per-project keys for field hardware posting readings without a user JWT.
+// Format: llk_<keyId>_<secret>. Only the SHA-256 hash is stored (keys are random
+// 32-byte secrets, so a slow password hash is unnecessary); the plaintext is
+// returned once at creation.
+
+const KEY_PREFIX = 'llk';
+
+export function generateDeviceKey() {
+  const keyId = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { keyId, key: `${KEY_PREFIX}_${keyId}_${secret}` };
+}
+
+export function hashDeviceKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+// Reads the key from X-Device-Key or "Authorization: ApiKey <key>"
+export function deviceKeyFromRequest(req) {
+  const header = req.headers['x-device-key'];
+  if (typeof header === 'string' && header.trim().length) return header.trim();
+  const auth = req.headers.authorization || '';
+  if (auth.startsWith('ApiKey ')) return auth.substring(7).trim();
+  return null;
+}
+
+// Public view of a stored key document
+export function describeDeviceKey(doc) {
+  return {
+    keyId: doc.keyId,
+    projectId: doc.projectId,
+    name: doc.name || '',
+    prefix: `${KEY_PREFIX}_${doc.keyId}_`,
+    createdAt: doc.createdAt,
+    expiresAt: doc.expiresAt || null,
+    lastUsedAt: doc.lastUsedAt || null,
+    revokedAt: doc.revokedAt || null,
+  };
+}
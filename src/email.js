@@ -0,0 +1,88 @@
+import nodemailer from 'nodemailer';
+import dotenv from 'dotenv';
+import { emailAddresses } from './recipients.js';
+import { renderAlertEmail } from './emailTemplates.js';
+
+dotenv.config();
+
+// --- Email channel ---
+// SMTP via nodemailer, configured from env (SMTP_URL, or SMTP_HOST/SMTP_PORT/SMTP_SECURE/SMTP_USER/SMTP_PASS;
+// EMAIL_FROM sets the sender). A local catcher (MailHog, MailDev, ...) works with
+// SMTP_HOST=localhost SMTP_PORT=1025. EMAIL_TRANSPORT=json logs messages instead of sending.
+// setMailTransport() swaps in any nodemailer-compatible transport.
+
+let transport = null;
+let fromAddress = null;
+
+export function initEmail() {
+  if (transport) return;
+  try {
+    fromAddress = process.env.EMAIL_FROM || 'LiquidLevel <alerts@localhost>';
+    if (String(process.env.EMAIL_TRANSPORT).toLowerCase() === 'json') {
+      transport = nodemailer.createTransport({ jsonTransport: true });
+      console.log('[Email] JSON transport (messages are logged, not sent)');
+      return;
+    }
+    if (process.env.SMTP_URL) {
+      transport = nodemailer.createTransport(process.env.SMTP_URL);
+    } else if (process.env.SMTP_HOST) {
+      const port = Number(process.env.SMTP_PORT || 587);
+      transport = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port,
+        secure: process.env.SMTP_SECURE != null ? String(process.env.SMTP_SECURE).toLowerCase() === 'true' : port === 465,
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || '' } : undefined,
+      });
+    } else {
+      console.warn('[Email] SMTP_URL / SMTP_HOST not set; email notifications disabled');
+      return;
+    }
+    console.log('[Email] SMTP transport configured');
+  } catch (e) {
+    transport = null;
+    console.warn('[Email] Initialization failed:', e?.message || e);
+  }
+}
+
+export function isEmailEnabled() {
+  return transport != null;
+}
+
+// Replace the transport (e.g. nodemailer.createTransport({ streamTransport: true }) in a local check)
+export function setMailTransport(t, from) {
+  transport = t;
+  if (from) fromAddress = from;
+  else if (!fromAddress) fromAddress = process.env.EMAIL_FROM || 'LiquidLevel <alerts@localhost>';
+}
+
+// Returns { ok, accepted, rejected, error? }. Recipients are sent as Bcc so stakeholders don't see each other.
+export async function sendMail(to, message) {
+  if (!transport || !to?.length) return { ok: false, accepted: [], rejected: [], error: 'email disabled or no recipients' };
+  try {
+    const info = await transport.sendMail({ from: fromAddress, to: fromAddress, bcc: to, ...message });
+    return { ok: true, accepted: info.accepted || to, rejected: info.rejected || [] };
+  } catch (e) {
+    return { ok: false, accepted: [], rejected: to, error: e?.response || e?.message || String(e) };
+  }
+}
+
+// Emails an alert/recovery to the project's email recipients. `data` is the alert payload the
+// bridge sends to FCM (title, body, alertState, levelMeters, ...). Returns { sent, error }.
+export async function emailAlert(db, project, data, thresholds) {
+  const result = { sent: 0, error: null };
+  if (!isEmailEnabled() || project?.emailAlertsEnabled !== true) return result;
+  try {
+    const to = await emailAddresses(db, project);
+    if (!to.length) return result;
+    const res = await sendMail(to, renderAlertEmail({ ...data, thresholds }));
+    result.sent = res.accepted.length;
+    if (!res.ok || res.rejected.length) {
+      result.error = res.error || `rejected: ${res.rejected.join(', ')}`;
+      console.error(`[Email] send failed project=${project.projectId ?? project.id} to=${to.join(',')}: ${result.error}`);
+    }
+  } catch (e) {
+    result.error = e?.message || String(e);
+    console.error(`[Email] send failed project=${project.projectId ?? project.id}: ${result.error}`);
+  }
+  return result;
+}
@@ -0,0 +1,79 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// --- Alert and invite email templates ---
+// Text and HTML bodies built from the bridge's alert payload. The deep link opens the project in
+// the app: APP_LINK_BASE (default liquidlevel://projects) + '/' + projectId.
+
+const linkBase = (process.env.APP_LINK_BASE || 'liquidlevel://projects').replace(/\/+$/, '');
+
+export function projectLink(projectId) {
+  return `${linkBase}/${encodeURIComponent(String(projectId))}`;
+}
+
+function escapeHtml(s) {
+  return String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function formatLevel(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? `${n.toFixed(3)} m` : null;
+}
+
+function thresholdLines(thresholds) {
+  return (thresholds || []).map(t => `${t.name}: ${t.direction} ${formatLevel(t.level)}${t.severity ? ` (${t.severity})` : ''}`);
+}
+
+// data: { title, body, projectId, projectName, alertState?, previousState?, levelMeters?, percent?,
+//         liquidLiters?, ts, thresholds? }. Returns { subject, text, html }.
+export function renderAlertEmail(data) {
+  const link = projectLink(data.projectId);
+  const rows = [];
+  rows.push(['Project', data.projectName || data.projectId]);
+  if (data.alertState) rows.push(['State', data.previousState ? `${data.previousState} → ${data.alertState}` : data.alertState]);
+  if (data.sensorStatus) rows.push(['Sensor', data.previousSensorStatus ? `${data.previousSensorStatus} → ${data.sensorStatus}` : data.sensorStatus]);
+  const level = formatLevel(data.levelMeters);
+  if (level) rows.push(['Level', `${level}${data.percent ? ` (${data.percent}%${data.liquidLiters ? `, ${Math.round(Number(data.liquidLiters))} L` : ''})` : ''}`]);
+  if (data.ts) rows.push(['Time', new Date(data.ts).toUTCString()]);
+  const thresholds = thresholdLines(data.thresholds);
+
+  const text = [
+    data.title,
+    '',
+    data.body,
+    '',
+    ...rows.map(([k, v]) => `${k}: ${v}`),
+    ...(thresholds.length ? ['', 'Thresholds:', ...thresholds.map(l => `  - ${l}`)] : []),
+    '',
+    `Open in app: ${link}`,
+  ].join('\n');
+
+  const html = `<!doctype html>
+<html><body style="font-family:Arial,Helvetica,sans-serif;color:#222">
+<h2 style="margin:0 0 8px">${escapeHtml(data.title)}</h2>
+<p style="margin:0 0 16px">${escapeHtml(data.body)}</p>
+<table cellpadding="4" style="border-collapse:collapse">
+${rows.map(([k, v]) => `<tr><td style="color:#666">${escapeHtml(k)}</td><td><strong>${escapeHtml(v)}</strong></td></tr>`).join('\n')}
+</table>
+${thresholds.length ? `<p style="margin:16px 0 4px;color:#666">Thresholds</p>\n<ul style="margin:0">${thresholds.map(l => `<li>${escapeHtml(l)}</li>`).join('')}</ul>` : ''}
+<p style="margin:24px 0"><a href="${escapeHtml(link)}" style="background:#1565c0;color:#fff;padding:10px 16px;border-radius:4px;text-decoration:none">Open in app</a></p>
+</body></html>`;
+
+  return { subject: data.title, text, html };
+}
+
+// Project sharing invite: { projectId, projectName, role, invitedByEmail }. Returns { subject, text, html }.
+export function renderInviteEmail(data) {
+  const name = data.projectName || data.projectId;
+  const who = data.invitedByEmail || 'A LiquidLevel user';
+  const subject = `${who} shared "${name}" with you`;
+  const body = `${who} invited you to the tank "${name}" as ${data.role}. Sign in with this email address and accept the invite in the app.`;
+  const text = [subject, '', body].join('\n');
+  const html = `<!doctype html>
+<html><body style="font-family:Arial,Helvetica,sans-serif;color:#222">
+<h2 style="margin:0 0 8px">${escapeHtml(subject)}</h2>
+<p style="margin:0 0 16px">${escapeHtml(body)}</p>
+</body></html>`;
+  return { subject, text, html };
+}
@@ -0,0 +1,156 @@
+import { ObjectId } from 'mongodb';
+import dotenv from 'dotenv';
+import { getDb } from './db.js';
+import { isFcmEnabled, sendToTokens, collectInvalidTokens } from './fcm.js';
+import { recipientTokens, projectAudience } from './recipients.js';
+import { publishLiveEvent } from './liveStream.js';
+import { findAccessibleProject } from './members.js';
+import { stateTitle } from './alertEngine.js';
+
+dotenv.config();
+
+// --- Alert acknowledgement & escalation ---
+// An alert event entering any non-normal state is `active` until the tank recovers. While active and
+// not acknowledged it is re-notified every escalation interval (project.escalationIntervalSec,
+// default ALERT_ESCALATION_INTERVAL_SEC or 900s; 0 disables). After escalateAfterReminders
+// reminders (default 2) the secondary contacts (project.secondaryContactIds, owner or members only) are added.
+// Acknowledging stops reminders until the tank recovers. Escalation bookkeeping lives on
+// the alertEvents document (remindersSent, escalationLevel, nextNotifyAt, ackedAt, ackedBy),
+// so it survives restarts.
+
+const defaultIntervalSec = Number.isFinite(Number(process.env.ALERT_ESCALATION_INTERVAL_SEC))
+  ? Math.max(0, Number(process.env.ALERT_ESCALATION_INTERVAL_SEC))
+  : 900;
+const tickMs = Math.max(5000, Number(process.env.ALERT_ESCALATION_TICK_MS || 30000));
+let loopStarted = false;
+
+export function escalationSettings(project) {
+  const intervalSec = Number.isFinite(project?.escalationIntervalSec) ? Math.max(0, project.escalationIntervalSec) : defaultIntervalSec;
+  const escalateAfter = Number.isFinite(project?.escalateAfterReminders) ? Math.max(1, Math.floor(project.escalateAfterReminders)) : 2;
+  const secondary = Array.isArray(project?.secondaryContactIds) ? project.secondaryContactIds.filter(Boolean) : [];
+  return { intervalSec, escalateAfter, secondary };
+}
+
+export function nextNotifyAt(project, fromMs = Date.now()) {
+  const { intervalSec } = escalationSettings(project);
+  return intervalSec > 0 ? new Date(fromMs + intervalSec * 1000) : null;
+}
+
+// Fields for a new alert event (spread into recordAlertEvent)
+export function escalationFields(project, toState, nowMs = Date.now()) {
+  const active = toState !== 'normal';
+  return {
+    active,
+    ackedAt: null,
+    ackedBy: null,
+    remindersSent: 0,
+    escalationLevel: 0,
+    nextNotifyAt: active ? nextNotifyAt(project, nowMs) : null,
+    resolvedAt: null,
+  };
+}
+
+// Closes any active alert for the project; returns the most recent one (or null).
+export async function resolveActiveAlerts(db, projectId, userId, resolvedAt = new Date()) {
+  const col = db.collection('alertEvents');
+  const last = await col.find({ projectId, userId, active: true }).sort({ ts: -1, _id: -1 }).limit(1).next();
+  if (!last) return null;
+  await col.updateMany({ projectId, userId, active: true }, { $set: { active: false, resolvedAt, nextNotifyAt: null } });
+  return last;
+}
+
+// Devices of secondary contacts, regardless of their own project subscriptions. Contacts who are
+// no longer the owner or an active member (project.sharedWith) are skipped.
+export async function escalationTokens(db, project) {
+  const audience = projectAudience(project);
+  const userIds = escalationSettings(project).secondary.filter(id => audience.has(String(id)));
+  if (!userIds.length) return [];
+  const devices = await db.collection('devices').find({ userId: { $in: userIds } }, { projection: { _id: 0, token: 1 } }).toArray();
+  return Array.from(new Set(devices.map(d => d.token).filter(Boolean)));
+}
+
+// Returns { ok, status?, error?, event? }. Requires the operator role on the alert's project (owners included).
+export async function acknowledgeAlert(db, alertId, uid) {
+  if (!ObjectId.isValid(alertId)) return { ok: false, status: 400, error: 'invalid alert id' };
+  const col = db.collection('alertEvents');
+  const _id = new ObjectId(alertId);
+  const ev = await col.findOne({ _id });
+  if (!ev) return { ok: false, status: 404, error: 'alert not found' };
+  if (ev.userId !== uid) {
+    const access = await findAccessibleProject(db, uid, ev.projectId, { ownerId: ev.userId, minRole: 'operator', projection: { _id: 1 } });
+    if (!access.ok) return access.status === 403 ? access : { ok: false, status: 404, error: 'alert not found' };
+  }
+  if (!ev.active) return { ok: false, status: 409, error: 'alert is no longer active' };
+  if (ev.ackedAt) return { ok: true, event: ev };
+  const ackedAt = new Date();
+  const upd = await col.findOneAndUpdate(
+    { _id, active: true, ackedAt: null },
+    { $set: { ackedAt, ackedBy: uid, nextNotifyAt: null } },
+    { returnDocument: 'after' }
+  );
+  const event = upd || { ...ev, ackedAt, ackedBy: uid };
+  publishLiveEvent(ev.userId, ev.projectId, 'ack', { projectId: ev.projectId, alertId: String(_id), state: ev.to, ackedAt: ackedAt.toISOString(), ackedBy: uid });
+  return { ok: true, event };
+}
+
+async function remind(db, ev) {
+  const col = db.collection('alertEvents');
+  const project = await db.collection('projects').findOne({ id: ev.projectId, userId: ev.userId });
+  const settings = escalationSettings(project);
+  if (!project || project.alertsEnabled !== true || settings.intervalSec <= 0) {
+    await col.updateOne({ _id: ev._id }, { $set: { nextNotifyAt: null } });
+    return;
+  }
+  const now = Date.now();
+  const reminders = (ev.remindersSent || 0) + 1;
+  const level = (ev.escalationLevel || 0) > 0 || (reminders >= settings.escalateAfter && settings.secondary.length) ? 1 : 0;
+  // Claim this reminder first so concurrent ticks cannot double-send
+  const claimed = await col.updateOne(
+    { _id: ev._id, active: true, ackedAt: null, remindersSent: ev.remindersSent || 0 },
+    { $set: { remindersSent: reminders, escalationLevel: level, lastNotifiedAt: new Date(now), nextNotifyAt: new Date(now + settings.intervalSec * 1000) } }
+  );
+  if (!claimed.modifiedCount || !isFcmEnabled()) return;
+
+  const primary = await recipientTokens(db, { ...project, projectId: project.id });
+  const extra = level > 0 ? await escalationTokens(db, project) : [];
+  const tokens = Array.from(new Set([...primary, ...extra]));
+  if (!tokens.length) return;
+  const displayName = (project.name && project.name.trim().length) ? project.name.trim() : project.id;
+  const title = stateTitle(ev.to);
+  const sinceMin = Math.round((now - new Date(ev.ts).getTime()) / 60000);
+  const res = await sendToTokens(tokens, {
+    data: {
+      title: `${title} (${displayName}) – unacknowledged`,
+      body: `Still ${ev.to} for ${sinceMin} min (level ${Number(ev.levelMeters).toFixed(3)} m)${level > 0 ? ' – escalated' : ''}`,
+      projectId: String(project.id),
+      projectName: displayName,
+      levelMeters: String(ev.levelMeters),
+      ts: new Date(ev.ts).toISOString(),
+      alertState: ev.to,
+      alertId: String(ev._id),
+      acknowledged: 'false',
+      reminder: String(reminders),
+      escalationLevel: String(level),
+      messageId: `${project.id}:reminder:${ev._id}:${reminders}`
+    }
+  }, { android: { collapseKey: `alert_${project.id}` } });
+  const invalid = collectInvalidTokens(res, tokens);
+  if (invalid.length) { try { await db.collection('devices').deleteMany({ token: { $in: invalid } }); } catch {} }
+}
+
+export async function runEscalationTick() {
+  const db = await getDb();
+  const due = await db.collection('alertEvents')
+    .find({ active: true, ackedAt: null, nextNotifyAt: { $ne: null, $lte: new Date() } })
+    .limit(100)
+    .toArray();
+  for (const ev of due) {
+    try { await remind(db, ev); } catch (e) { console.error('Escalation reminder error', e?.message || e); }
+  }
+}
+
+export function startEscalationLoop() {
+  if (loopStarted) return;
+  loopStarted = true;
+  setInterval(() => runEscalationTick().catch(e => console.error('Escalation tick error', e?.message || e)), tickMs);
+}
@@ -60,3 +60,22 @@ export async function sendToTokens(tokens, payload, options = {}) {
     return { ok: false, error: e?.message || String(e) };
   }
 }
+
+// Tokens FCM reports as no longer registered (safe to delete from `devices`)
+export function collectInvalidTokens(sendRes, tokens) {
+  try {
+    if (!sendRes || !sendRes.res || !Array.isArray(sendRes.res.responses)) return [];
+    const bad = [];
+    const responses = sendRes.res.responses;
+    for (let i = 0; i < responses.length; i++) {
+      const r = responses[i];
+      if (r && r.error && tokens[i]) {
+        const code = r.error.code || r.error.message || '';
+        if (String(code).includes('registration-token-not-registered') || String(code).includes('UNREGISTERED')) {
+          bad.push(tokens[i]);
+        }
+      }
+    }
+    return bad;
+  } catch { return []; }
+}
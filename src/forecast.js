@@ -0,0 +1,154 @@
+import { effectiveThresholds } from './alertEngine.js';
+import { tankHeightMeters } from './tankGeometry.js';
+import { analyticsSettings } from './analytics.js';
+
+// --- Level forecasting ---
+// Linear trend over the recent readings of the current regime: walking back from the newest sample,
+// the window stops at the last refill (or drawdown, while filling) larger than refillMinMeters, so
+// a refill in the lookback does not flatten the slope. From the trend:
+//   falling: lowAt (first 'below' threshold, i.e. alertLow) and emptyAt (level 0)
+//   rising:  highAt (first 'above' threshold, i.e. alertHigh) and fullAt (tank height)
+// project.forecastLookbackSec (default FORECAST_LOOKBACK_SEC or 6 h) sets the window;
+// project.forecastAlertHours enables the "predicted low within N hours" notification.
+// Refill and noise sizes are the analytics settings (refillMinMeters, noiseDeadbandMeters).
+
+export const DEFAULT_LOOKBACK_SEC = Number(process.env.FORECAST_LOOKBACK_SEC) > 0 ? Number(process.env.FORECAST_LOOKBACK_SEC) : 6 * 3600;
+export const MIN_LOOKBACK_SEC = 600;
+export const MAX_LOOKBACK_SEC = 7 * 86400;
+export const MAX_FORECAST_ALERT_HOURS = 168;
+const MIN_SAMPLES = 3;
+const MIN_SPAN_MS = 10 * 60000;
+const FLAT_METERS_PER_HOUR = 0.001;
+
+export function forecastLookbackSec(project) {
+  const v = project?.forecastLookbackSec;
+  return Number.isFinite(v) && v >= MIN_LOOKBACK_SEC ? Math.min(v, MAX_LOOKBACK_SEC) : DEFAULT_LOOKBACK_SEC;
+}
+
+// Validates forecast fields of a POST /projects body. Returns an error string or null.
+export function validateForecastSettings(body) {
+  if (body.forecastLookbackSec != null && !(typeof body.forecastLookbackSec === 'number'
+    && body.forecastLookbackSec >= MIN_LOOKBACK_SEC && body.forecastLookbackSec <= MAX_LOOKBACK_SEC)) {
+    return `forecastLookbackSec must be between ${MIN_LOOKBACK_SEC} and ${MAX_LOOKBACK_SEC}`;
+  }
+  if (body.forecastAlertHours != null && !(typeof body.forecastAlertHours === 'number'
+    && body.forecastAlertHours > 0 && body.forecastAlertHours <= MAX_FORECAST_ALERT_HOURS)) {
+    return `forecastAlertHours must be a number > 0 and <= ${MAX_FORECAST_ALERT_HOURS} (or null)`;
+  }
+  return null;
+}
+
+export function forecastTargets(project) {
+  const thresholds = effectiveThresholds(project);
+  const below = thresholds.filter(t => t.direction === 'below').map(t => t.level);
+  const above = thresholds.filter(t => t.direction === 'above').map(t => t.level);
+  return {
+    low: below.length ? Math.max(...below) : null,
+    high: above.length ? Math.min(...above) : null,
+    full: tankHeightMeters(project) ?? null,
+  };
+}
+
+// Samples of the current regime (oldest first). samples: [{ ts (ms), v }] oldest first.
+export function currentRegime(samples, refillMinMeters, noiseMeters) {
+  if (samples.length < 2) return samples;
+  const last = samples[samples.length - 1].v;
+  let max = last;
+  let min = last;
+  let direction = null; // 'falling' | 'rising' in forward time
+  let start = 0;
+  for (let i = samples.length - 2; i >= 0; i--) {
+    const v = samples[i].v;
+    if (direction === 'falling' && v < max - refillMinMeters) { start = i + 1; break; }
+    if (direction === 'rising' && v > min + refillMinMeters) { start = i + 1; break; }
+    max = Math.max(max, v);
+    min = Math.min(min, v);
+    if (!direction) {
+      if (max - last > noiseMeters) direction = 'falling';
+      else if (last - min > noiseMeters) direction = 'rising';
+    }
+  }
+  return samples.slice(start);
+}
+
+function linearFit(samples) {
+  const n = samples.length;
+  const t0 = samples[0].ts;
+  let sx = 0, sy = 0, sxx = 0, sxy = 0;
+  for (const s of samples) {
+    const x = (s.ts - t0) / 3600000;
+    sx += x; sy += s.v; sxx += x * x; sxy += x * s.v;
+  }
+  const denom = n * sxx - sx * sx;
+  if (!denom) return null;
+  const slope = (n * sxy - sx * sy) / denom; // m per hour
+  const intercept = (sy - slope * sx) / n;
+  return { slope, intercept, t0 };
+}
+
+// Returns the forecast for samples ([{ ts (ms), v }], oldest first) or { trend: 'unknown' }.
+export function computeForecast(samples, project, { nowMs = Date.now(), lookbackSec = forecastLookbackSec(project) } = {}) {
+  const { refillMinMeters, noiseMeters } = analyticsSettings(project);
+  const base = { computedAt: new Date(nowMs), lookbackSec };
+  const since = nowMs - base.lookbackSec * 1000;
+  const recent = samples.filter(s => s.ts >= since && s.ts <= nowMs && Number.isFinite(s.v));
+  const regime = currentRegime(recent, refillMinMeters, noiseMeters);
+  if (regime.length < MIN_SAMPLES || regime[regime.length - 1].ts - regime[0].ts < MIN_SPAN_MS) {
+    return { ...base, trend: 'unknown', samples: regime.length };
+  }
+  const fit = linearFit(regime);
+  if (!fit) return { ...base, trend: 'unknown', samples: regime.length };
+  const nowH = (nowMs - fit.t0) / 3600000;
+  const level = fit.intercept + fit.slope * nowH;
+  const trend = Math.abs(fit.slope) < FLAT_METERS_PER_HOUR ? 'flat' : fit.slope < 0 ? 'falling' : 'rising';
+  const { low, high, full } = forecastTargets(project);
+  const at = (target) => {
+    if (target == null || trend === 'flat') return null;
+    const hours = (target - level) / fit.slope;
+    if (hours < 0) return null; // moving away from it
+    return { at: new Date(nowMs + hours * 3600000), hours: Math.round(hours * 100) / 100 };
+  };
+  const out = {
+    ...base,
+    trend,
+    rateMetersPerHour: Math.round(fit.slope * 10000) / 10000,
+    levelMeters: Math.round(level * 1000) / 1000,
+    since: new Date(regime[0].ts),
+    samples: regime.length,
+    lowAt: null, emptyAt: null, highAt: null, fullAt: null,
+    hoursToLow: null, hoursToEmpty: null, hoursToHigh: null, hoursToFull: null,
+  };
+  if (trend === 'falling') {
+    const l = low != null && level <= low ? { at: new Date(nowMs), hours: 0 } : at(low);
+    const e = at(0);
+    if (l) { out.lowAt = l.at; out.hoursToLow = l.hours; }
+    if (e) { out.emptyAt = e.at; out.hoursToEmpty = e.hours; }
+  } else if (trend === 'rising') {
+    const h = high != null && level >= high ? { at: new Date(nowMs), hours: 0 } : at(high);
+    const f = at(full);
+    if (h) { out.highAt = h.at; out.hoursToHigh = h.hours; }
+    if (f) { out.fullAt = f.at; out.hoursToFull = f.hours; }
+  }
+  return out;
+}
+
+// "Predicted low within N hours": 'fire' when the low threshold is forecast within `hours`,
+// 'rearm' once it is clearly not (no falling trend, or more than 1.5 x hours away), else null.
+export function forecastAlertDue(forecast, hours) {
+  if (!(hours > 0) || forecast.trend === 'unknown') return null;
+  const h = forecast.trend === 'falling' ? forecast.hoursToLow : null;
+  if (h != null && h > 0 && h <= hours) return 'fire';
+  if (h == null || h > hours * 1.5) return 'rearm';
+  return null;
+}
+
+// Forecast from the project's stored readings over its lookback window
+export async function projectForecast(db, project, { lookbackSec = forecastLookbackSec(project), now = new Date() } = {}) {
+  const readings = await db.collection('readings')
+    .find({ userId: project.userId, projectId: project.id, ts: { $gte: new Date(now.getTime() - lookbackSec * 1000), $lte: now } },
+      { projection: { _id: 0, ts: 1, levelMeters: 1 } })
+    .sort({ ts: 1 })
+    .toArray();
+  const samples = readings.map(r => ({ ts: new Date(r.ts).getTime(), v: r.levelMeters }));
+  return computeForecast(samples, project, { nowMs: now.getTime(), lookbackSec });
+}
@@ -0,0 +1,210 @@
+// --- Custom formula evaluator ---
+// Small sandboxed expression language for project customFormula (no eval / Function).
+// Supports numbers, + - * / % ^ (power, right-assoc), unary +/-, parentheses,
+// math functions (see FUNCTIONS), constants pi/e and the variables in FORMULA_VARIABLES.
+// compileFormula throws an Error with a position-specific message on invalid input,
+// so POST /projects can reject bad formulas before they reach the bridge.
+
+const FUNCTIONS = {
+  abs: [1, Math.abs],
+  sqrt: [1, Math.sqrt],
+  cbrt: [1, Math.cbrt],
+  exp: [1, Math.exp],
+  ln: [1, Math.log],
+  log: [1, Math.log10],
+  log10: [1, Math.log10],
+  log2: [1, Math.log2],
+  sin: [1, Math.sin],
+  cos: [1, Math.cos],
+  tan: [1, Math.tan],
+  asin: [1, Math.asin],
+  acos: [1, Math.acos],
+  atan: [1, Math.atan],
+  atan2: [2, Math.atan2],
+  floor: [1, Math.floor],
+  ceil: [1, Math.ceil],
+  round: [1, Math.round],
+  sign: [1, Math.sign],
+  pow: [2, Math.pow],
+  min: [-1, Math.min],
+  max: [-1, Math.max],
+  clamp: [3, (v, lo, hi) => Math.min(Math.max(v, lo), hi)],
+};
+
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+// x / raw: decoded sensor value before multiplier/offset. Dimensions are in meters.
+export const FORMULA_VARIABLES = [
+  'x', 'raw', 'multiplier', 'offset',
+  'height', 'diameter', 'length', 'width', 'wallThickness', 'connectedTankCount',
+];
+
+const MAX_FORMULA_LENGTH = 500;
+
+function tokenize(src) {
+  const tokens = [];
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    const num = /^(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/.exec(src.slice(i));
+    if (num) {
+      tokens.push({ type: 'num', value: parseFloat(num[0]), pos: i });
+      i += num[0].length;
+      continue;
+    }
+    const ident = /^[A-Za-z_][A-Za-z0-9_]*/.exec(src.slice(i));
+    if (ident) {
+      tokens.push({ type: 'ident', value: ident[0], pos: i });
+      i += ident[0].length;
+      continue;
+    }
+    if ('+-*/%^(),'.includes(ch)) {
+      tokens.push({ type: ch, pos: i });
+      i++;
+      continue;
+    }
+    throw new Error(`unexpected character '${ch}' at position ${i + 1}`);
+  }
+  tokens.push({ type: 'end', pos: src.length });
+  return tokens;
+}
+
+// Recursive-descent parser producing a small AST:
+//   expr   := term (('+'|'-') term)*
+//   term   := unary (('*'|'/'|'%') unary)*
+//   unary  := ('+'|'-') unary | power
+//   power  := atom ('^' unary)?
+//   atom   := num | ident | ident '(' args ')' | '(' expr ')'
+function parse(tokens) {
+  let i = 0;
+  const peek = () => tokens[i];
+  const next = () => tokens[i++];
+  const fail = (tok, msg) => {
+    throw new Error(`${msg} at position ${tok.pos + 1}`);
+  };
+  const expect = (type) => {
+    const tok = next();
+    if (tok.type !== type) fail(tok, `expected '${type}'`);
+    return tok;
+  };
+
+  function expr() {
+    let node = term();
+    while (peek().type === '+' || peek().type === '-') {
+      const op = next().type;
+      node = { kind: 'bin', op, left: node, right: term() };
+    }
+    return node;
+  }
+  function term() {
+    let node = unary();
+    while (peek().type === '*' || peek().type === '/' || peek().type === '%') {
+      const op = next().type;
+      node = { kind: 'bin', op, left: node, right: unary() };
+    }
+    return node;
+  }
+  function unary() {
+    if (peek().type === '-' || peek().type === '+') {
+      const op = next().type;
+      const arg = unary();
+      return op === '-' ? { kind: 'neg', arg } : arg;
+    }
+    return power();
+  }
+  function power() {
+    const base = atom();
+    if (peek().type === '^') {
+      next();
+      return { kind: 'bin', op: '^', left: base, right: unary() };
+    }
+    return base;
+  }
+  function atom() {
+    const tok = next();
+    if (tok.type === 'num') return { kind: 'num', value: tok.value };
+    if (tok.type === '(') {
+      const inner = expr();
+      expect(')');
+      return inner;
+    }
+    if (tok.type === 'ident') {
+      const name = tok.value;
+      if (peek().type === '(') {
+        next();
+        if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, name)) fail(tok, `unknown function '${name}'`);
+        const fn = FUNCTIONS[name];
+        const args = [];
+        if (peek().type !== ')') {
+          args.push(expr());
+          while (peek().type === ',') { next(); args.push(expr()); }
+        }
+        expect(')');
+        const [arity] = fn;
+        if (arity >= 0 && args.length !== arity) fail(tok, `${name}() expects ${arity} argument(s), got ${args.length}`);
+        if (arity < 0 && args.length === 0) fail(tok, `${name}() expects at least one argument`);
+        return { kind: 'call', name, args };
+      }
+      if (Object.prototype.hasOwnProperty.call(CONSTANTS, name)) return { kind: 'num', value: CONSTANTS[name] };
+      if (!FORMULA_VARIABLES.includes(name)) fail(tok, `unknown variable '${name}'`);
+      return { kind: 'var', name };
+    }
+    if (tok.type === 'end') fail(tok, 'unexpected end of formula');
+    return fail(tok, `unexpected '${tok.type}'`);
+  }
+
+  const root = expr();
+  if (peek().type !== 'end') fail(peek(), `unexpected '${peek().value ?? peek().type}'`);
+  return root;
+}
+
+function evalNode(node, vars) {
+  switch (node.kind) {
+    case 'num': return node.value;
+    case 'var': {
+      const v = vars[node.name];
+      return typeof v === 'number' ? v : NaN;
+    }
+    case 'neg': return -evalNode(node.arg, vars);
+    case 'call': return FUNCTIONS[node.name][1](...node.args.map(a => evalNode(a, vars)));
+    case 'bin': {
+      const a = evalNode(node.left, vars);
+      const b = evalNode(node.right, vars);
+      switch (node.op) {
+        case '+': return a + b;
+        case '-': return a - b;
+        case '*': return a * b;
+        case '/': return a / b;
+        case '%': return a % b;
+        case '^': return Math.pow(a, b);
+        default: return NaN;
+      }
+    }
+    default: return NaN;
+  }
+}
+
+// Returns { source, evaluate(vars) -> number|null }. Throws on invalid formula.
+export function compileFormula(source) {
+  if (typeof source !== 'string' || !source.trim().length) throw new Error('formula is empty');
+  if (source.length > MAX_FORMULA_LENGTH) throw new Error(`formula longer than ${MAX_FORMULA_LENGTH} characters`);
+  const ast = parse(tokenize(source));
+  return {
+    source,
+    evaluate(vars = {}) {
+      const v = evalNode(ast, vars);
+      return Number.isFinite(v) ? v : null;
+    },
+  };
+}
+
+// Convenience for validation paths: null when valid, otherwise the error message.
+export function validateFormula(source) {
+  try {
+    compileFormula(source);
+    return null;
+  } catch (e) {
+    return e?.message || String(e);
+  }
+}
@@ -1,17 +1,45 @@
 import express from 'express';
+import { once } from 'node:events';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import bcrypt from 'bcrypt';
 import jwt from 'jsonwebtoken';
+import { ObjectId } from 'mongodb';
 import { getDb, initDb } from './db.js';
-import { startBridge, refreshBridgeProjects } from './mqttBridge.js';
+import { startBridge, refreshBridgeProjects, scheduleBridgeRefresh, isProjectBridged, getSensorStatus, getProjectDiagnostics, publishControl, getForecast } from './mqttBridge.js';
 import { initFcm } from './fcm.js';
+import { initEmail, isEmailEnabled, sendMail } from './email.js';
+import { renderInviteEmail } from './emailTemplates.js';
+import { projectKey, parseProjectKey } from './projectKey.js';
+import { MEMBER_ROLES, findAccessibleProject, rolesForProjects, describeMember, inviteMember, respondToInvite, revokeMember, memberIdsForEmails } from './members.js';
+import { listControlCommands } from './control.js';
+import { validateAutoControl } from './autoControl.js';
+import { projectForecast, validateForecastSettings, MIN_LOOKBACK_SEC, MAX_LOOKBACK_SEC } from './forecast.js';
+import { projectAnalytics, invalidateAnalytics, invalidateAnalyticsForBatch, dayOf, daysBetween, MAX_ANALYTICS_DAYS } from './analytics.js';
+import { validateFormula } from './formula.js';
+import { normalizePressureUnit } from './sensorModel.js';
+import { pointsFromJson, pointsFromCsv, validateCalibration } from './calibration.js';
+import { tankHeightMeters } from './tankGeometry.js';
+import { subscribeLive, replayLiveEvents } from './liveStream.js';
+import { listAlertEvents, summarizeAlertEvents } from './alertEvents.js';
+import { acknowledgeAlert } from './escalation.js';
+import { normalizeThresholds, normalizeRateRules } from './alertEngine.js';
+import { normalizeSampleFilter } from './sampleFilter.js';
+import { projectDocFromBody } from './projectSettings.js';
+import { generateWebhookSecret, normalizeWebhookInput, describeWebhook, sendTestDelivery, redeliverById, generateWebhookId } from './webhooks.js';
+import { generateDeviceKey, hashDeviceKey, deviceKeyFromRequest, describeDeviceKey } from './deviceKeys.js';
+import { buildReadingsQuery, parseBucket, formatBucket, autoBucketMs, aggregateReadings, MAX_AGG_POINTS,
+  fillVolume, isValidTimeZone, formatInTimeZone, entriesFromBody, insertReadingsBatch, summarizeBatch, MAX_BATCH_ITEMS } from './readings.js';
 
 dotenv.config();
 
 const app = express();
 app.use(cors({ origin: process.env.CORS_ORIGIN || '*' }));
-app.use(express.json());
+// Bulk upload routes mount their own, larger JSON parser
+const BULK_JSON_PATHS = new Set(['/readings/batch', '/ingest']);
+const jsonBody = express.json();
+const bulkJsonBody = express.json({ limit: '5mb' });
+app.use((req, res, next) => (BULK_JSON_PATHS.has(req.path.replace(/\/$/, '')) ? next() : jsonBody(req, res, next)));
 
 // --- Auth Helpers ---
 function getJwtSecret() {
@@ -20,6 +48,12 @@ function getJwtSecret() {
   return s;
 }
 
+const MAX_EMAIL_RECIPIENTS = 20;
+
+function isEmailAddress(v) {
+  return typeof v === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v.trim());
+}
+
 async function findUserByEmail(db, email) {
   return db.collection('users').findOne({ email: email.toLowerCase() });
 }
@@ -42,6 +76,23 @@ async function authMiddleware(req, res, next) {
   }
 }
 
+// Device key auth for ingestion routes; sets req.deviceKey = { keyId, projectId, userId }
+async function deviceKeyMiddleware(req, res, next) {
+  try {
+    const key = deviceKeyFromRequest(req);
+    if (!key) return res.status(401).json({ ok: false, error: 'missing device key' });
+    const db = await getDb();
+    const doc = await db.collection('deviceKeys').findOne({ hash: hashDeviceKey(key) });
+    if (!doc || doc.revokedAt) return res.status(401).json({ ok: false, error: 'invalid device key' });
+    if (doc.expiresAt && new Date(doc.expiresAt) <= new Date()) return res.status(401).json({ ok: false, error: 'device key expired' });
+    req.deviceKey = { keyId: doc.keyId, projectId: doc.projectId, userId: doc.userId };
+    db.collection('deviceKeys').updateOne({ _id: doc._id }, { $set: { lastUsedAt: new Date() } }).catch(() => {});
+    return next();
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+}
+
 // --- Auth Routes ---
 // Body: { email, password }
 app.post('/signup', async (req, res) => {
@@ -88,19 +139,77 @@ app.get('/me', authMiddleware, async (req, res) => {
     res.status(500).json({ ok: false, error: e.message });
   }
 });
+// Email alert preference: { enabled, address } (address null = login email).
+// Emails are only sent for projects with emailAlertsEnabled.
+app.get('/me/email-alerts', authMiddleware, async (req, res) => {
+  try {
+    const db = await getDb();
+    const user = await db.collection('users').findOne({ _id: new ObjectId(req.user.uid) }, { projection: { email: 1, emailAlerts: 1 } });
+    if (!user) return res.status(404).json({ ok: false, error: 'user not found' });
+    res.json({ ok: true, emailAlerts: { enabled: user.emailAlerts?.enabled === true, address: user.emailAlerts?.address || null, loginEmail: user.email } });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Body: { enabled: boolean, address?: string | null }
+app.put('/me/email-alerts', authMiddleware, async (req, res) => {
+  try {
+    const { enabled, address } = req.body || {};
+    if (typeof enabled !== 'boolean') return res.status(400).json({ ok: false, error: 'enabled must be a boolean' });
+    if (address != null && !isEmailAddress(address)) return res.status(400).json({ ok: false, error: 'invalid address' });
+    const emailAlerts = { enabled, address: address ? address.trim().toLowerCase() : null };
+    const db = await getDb();
+    const upd = await db.collection('users').updateOne({ _id: new ObjectId(req.user.uid) }, { $set: { emailAlerts } });
+    if (!upd.matchedCount) return res.status(404).json({ ok: false, error: 'user not found' });
+    res.json({ ok: true, emailAlerts });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Projects the user may see and receive alerts for: owned or shared with them (active members)
+function accessibleProjectFilter(uid) {
+  return { $or: [ { userId: uid }, { sharedWith: uid } ] };
+}
+
+// Resolves a device subscription (a project id, or `${ownerId}::${projectId}` for a shared project whose
+// id is ambiguous) to the owner-qualified key stored in devices.projectIds.
+// Returns { ok, key } or findAccessibleProject's error.
+async function deviceSubscriptionKey(db, uid, entry) {
+  const { userId: ownerId, projectId } = parseProjectKey(entry);
+  const access = await findAccessibleProject(db, uid, projectId, { ownerId, projection: { _id: 1 } });
+  return access.ok ? { ok: true, key: projectKey(access.project.userId, projectId) } : access;
+}
+
 // Register a device token for FCM notifications
-// Body: { token: string, projectId?: string }
+// Body: { token: string, projectId?: string, projectIds?: string[] }
+// Without projectId/projectIds the device receives alerts for all projects of the user.
 app.post('/register-device', authMiddleware, async (req, res) => {
   try {
-    const { token, projectId } = req.body || {};
+    const { token, projectId, projectIds } = req.body || {};
     if (!token) return res.status(400).json({ ok: false, error: 'token required' });
+    if (projectIds != null && (!Array.isArray(projectIds) || projectIds.some(id => typeof id !== 'string'))) {
+      return res.status(400).json({ ok: false, error: 'projectIds must be an array of strings' });
+    }
     const db = await getDb();
+    const wanted = Array.from(new Set([...(projectId ? [projectId] : []), ...(Array.isArray(projectIds) ? projectIds : [])]));
+    const keys = new Map();
+    const denied = [];
+    for (const entry of wanted) {
+      const sub = await deviceSubscriptionKey(db, req.user.uid, entry);
+      if (sub.ok) keys.set(entry, sub.key);
+      else if (sub.status === 404) denied.push(entry);
+      else return res.status(sub.status).json({ ok: false, error: `${entry}: ${sub.error}` });
+    }
+    if (denied.length) return res.status(403).json({ ok: false, error: `no access to project(s): ${denied.join(', ')}` });
     const doc = {
       token,
-      projectId: projectId || null,
+      projectId: projectId ? keys.get(projectId) : null,
       userId: req.user.uid,
       updatedAt: new Date(),
     };
+    if (Array.isArray(projectIds)) doc.projectIds = Array.from(new Set(projectIds.map(id => keys.get(id))));
     await db.collection('devices').updateOne({ token, userId: req.user.uid }, { $set: doc }, { upsert: true });
     res.json({ ok: true });
   } catch (e) {
@@ -119,6 +228,35 @@ app.get('/devices', authMiddleware, async (req, res) => {
   }
 });
 
+// Subscribe/unsubscribe one of the user's devices to a project's alerts
+// Body: { token: string, projectId: string, subscribed: boolean }; ?owner=<userId> picks a shared project
+app.post('/devices/subscriptions', authMiddleware, async (req, res) => {
+  try {
+    const { token, projectId, subscribed } = req.body || {};
+    if (!token || !projectId || typeof subscribed !== 'boolean') {
+      return res.status(400).json({ ok: false, error: 'token, projectId and subscribed (boolean) required' });
+    }
+    const db = await getDb();
+    const entry = req.query.owner ? projectKey(req.query.owner, projectId) : projectId;
+    const sub = await deviceSubscriptionKey(db, req.user.uid, entry);
+    let update;
+    if (subscribed) {
+      if (!sub.ok) return res.status(sub.status).json({ ok: false, error: sub.error });
+      update = { $addToSet: { projectIds: sub.key } };
+    } else {
+      // Access may be gone by now (revoked membership); fall back to the key the caller names
+      const key = sub.ok ? sub.key : projectKey(req.query.owner || req.user.uid, projectId);
+      const legacy = key === projectKey(req.user.uid, projectId) ? [projectId] : [];
+      update = { $pull: { projectIds: { $in: [key, ...legacy] } } };
+    }
+    const upd = await db.collection('devices').updateMany({ token, userId: req.user.uid }, { ...update, $set: { updatedAt: new Date() } });
+    if (!upd.matchedCount) return res.status(404).json({ ok: false, error: 'device not registered' });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
 // Prune duplicate device tokens for current user
 app.post('/devices/prune', authMiddleware, async (req, res) => {
   try {
@@ -164,106 +302,770 @@ app.get('/ping', (req, res) => {
   res.json({ ok: true, ts: new Date().toISOString() });
 });
 
-// Example route: list projects
+// List projects owned by or shared with the caller. Each item carries `role` (owner/operator/viewer)
+// and `shared` (true when owned by another account; pass its userId as `owner` where ids collide).
 app.get('/projects', authMiddleware, async (req, res) => {
   try {
     const db = await getDb();
-    const items = await db.collection('projects').find({ userId: req.user.uid }).limit(200).toArray();
+    const items = await db.collection('projects').find(accessibleProjectFilter(req.user.uid)).limit(200).toArray();
+    const roles = await rolesForProjects(db, req.user.uid, items);
+    // Live connectivity from the bridge wins over the (throttled) persisted copy
+    for (const p of items) {
+      p.role = roles.get(projectKey(p.userId, p.id)) || 'viewer';
+      p.shared = p.userId !== req.user.uid;
+      const status = getSensorStatus(p.userId, p.id) || p.sensorStatus || null;
+      p.sensorStatus = status;
+      p.online = status ? status.status === 'online' : null;
+      p.lastSeenAt = status?.lastSeenAt || null;
+      p.forecast = getForecast(p.userId, p.id);
+    }
     res.json({ ok: true, items });
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message });
   }
 });
 
-// Upsert a project (from app) so bridge can subscribe
+// Upsert a project (from app) so bridge can subscribe. Members with the owner role edit a shared
+// project with ?owner=<userId>; sharing itself goes through /projects/:id/members.
 // Body: {
 //   id, name,
 //   broker, port, topic, username?, password?,
 //   storeHistory,
 //   multiplier?, offset?, sensorType?, tankType?,
+//   sensorBlindZoneMeters?, liquidDensity?, pressureUnit?,
 //   alertsEnabled?, alertLow?, alertHigh?, alertCooldownSec?, notifyOnRecover?,
-//   alertHysteresisMeters?, noiseDeadbandMeters?
+//   alertHysteresisMeters?, noiseDeadbandMeters?,
+//   escalationIntervalSec?, escalateAfterReminders?, secondaryContactEmails?,
+//   useControlButton?, controlTopic?, onValue?, offValue?, controlQos?, controlRetained?,
+//   autoControl?, minThreshold?, maxThreshold?, autoControlHysteresisMeters?, autoControlMinDwellSec?,
+//   autoControlMaxRunSec?, autoControlOverrideSec?, autoControlNotify?,
+//   autoControlPaused? (keeps the settings but stops automatic switching),
+//   refillMinMeters? (analytics and forecast: smallest rise counted as a refill, default 0.05),
+//   forecastLookbackSec? (default 6 h), forecastAlertHours? (notify when low is predicted within N hours),
+//   emailAlertsEnabled?, emailRecipients? (extra addresses, up to 20),
+//   lastWillTopic?, expectedReportIntervalSec? (raise a 'stale' status when silent longer),
+//   alertThresholds?: [{ name, direction: 'below'|'above', level, hysteresisMeters?, notify?, severity? }],
+//   rateOfChangeRules?: [{ name, direction: 'drop'|'rise', deltaMeters, windowSec, notify?, cooldownSec? }],
+//   sampleFilter?: { enforceBounds?, minLevelMeters?, maxLevelMeters?, maxJumpMeters?, jumpConfirmSamples?, medianWindow?, alertDebounceSamples? }
 // }
 app.post('/projects', authMiddleware, async (req, res) => {
   try {
     const body = req.body || {};
     const id = body.id;
     if (!id) return res.status(400).json({ ok: false, error: 'id required' });
+    if (typeof body.customFormula === 'string' && body.customFormula.trim().length) {
+      const formulaError = validateFormula(body.customFormula.trim());
+      if (formulaError) return res.status(400).json({ ok: false, error: `invalid customFormula: ${formulaError}` });
+    }
+    if (body.pressureUnit != null && !normalizePressureUnit(body.pressureUnit)) {
+      return res.status(400).json({ ok: false, error: 'pressureUnit must be one of Pa, hPa, kPa, mbar, bar, psi, mH2O' });
+    }
+    if (body.expectedReportIntervalSec != null && !(typeof body.expectedReportIntervalSec === 'number' && body.expectedReportIntervalSec >= 10)) {
+      return res.status(400).json({ ok: false, error: 'expectedReportIntervalSec must be a number >= 10 (or null)' });
+    }
+    const { error: thresholdError } = normalizeThresholds(body.alertThresholds);
+    if (thresholdError) return res.status(400).json({ ok: false, error: thresholdError });
+    const { error: rateError } = normalizeRateRules(body.rateOfChangeRules);
+    if (rateError) return res.status(400).json({ ok: false, error: rateError });
+    const autoControlError = validateAutoControl(body);
+    if (autoControlError) return res.status(400).json({ ok: false, error: autoControlError });
+    const forecastError = validateForecastSettings(body);
+    if (forecastError) return res.status(400).json({ ok: false, error: forecastError });
+    const { error: filterError } = normalizeSampleFilter(body.sampleFilter);
+    if (filterError) return res.status(400).json({ ok: false, error: filterError });
+    if (body.emailRecipients != null && (!Array.isArray(body.emailRecipients) || body.emailRecipients.length > MAX_EMAIL_RECIPIENTS
+      || body.emailRecipients.some(e => !isEmailAddress(e)))) {
+      return res.status(400).json({ ok: false, error: `emailRecipients must be an array of at most ${MAX_EMAIL_RECIPIENTS} email addresses` });
+    }
+    if (body.secondaryContactEmails != null && (!Array.isArray(body.secondaryContactEmails) || body.secondaryContactEmails.some(e => typeof e !== 'string'))) {
+      return res.status(400).json({ ok: false, error: 'secondaryContactEmails must be an array of emails' });
+    }
     const db = await getDb();
-    const doc = {
-      id,
-      name: body.name || '',
-      broker: body.broker,
-      port: Number(body.port || 1883),
-      topic: body.topic,
-      username: body.username || null,
-      password: body.password || null,
-      storeHistory: body.storeHistory === true,
-      multiplier: typeof body.multiplier === 'number' ? body.multiplier : 1,
-      offset: typeof body.offset === 'number' ? body.offset : 0,
-      sensorType: body.sensorType,
-      tankType: body.tankType,
-      alertsEnabled: body.alertsEnabled === true,
-      alertLow: (typeof body.alertLow === 'number') ? body.alertLow : null,
-      alertHigh: (typeof body.alertHigh === 'number') ? body.alertHigh : null,
-      alertCooldownSec: Number.isFinite(body.alertCooldownSec) ? Number(body.alertCooldownSec) : 1800, // default 30m
-      notifyOnRecover: body.notifyOnRecover === true,
-      alertHysteresisMeters: (typeof body.alertHysteresisMeters === 'number' && body.alertHysteresisMeters >= 0)
-        ? body.alertHysteresisMeters
-        : null,
-      noiseDeadbandMeters: (typeof body.noiseDeadbandMeters === 'number' && body.noiseDeadbandMeters >= 0)
-        ? body.noiseDeadbandMeters
-        : null,
-      // --- Extended persisted fields for cross-device sync (optional on POST) ---
-      height: (typeof body.height === 'number') ? body.height : null,
-      diameter: (typeof body.diameter === 'number') ? body.diameter : null,
-      length: (typeof body.length === 'number') ? body.length : null,
-      width: (typeof body.width === 'number') ? body.width : null,
-      wallThickness: (typeof body.wallThickness === 'number') ? body.wallThickness : null,
-      minThreshold: (typeof body.minThreshold === 'number') ? body.minThreshold : null,
-      maxThreshold: (typeof body.maxThreshold === 'number') ? body.maxThreshold : null,
-      connectedTankCount: Number.isFinite(body.connectedTankCount) ? Number(body.connectedTankCount) : 1,
-      useCustomFormula: body.useCustomFormula === true,
-      customFormula: (typeof body.customFormula === 'string' && body.customFormula.trim().length) ? body.customFormula.trim() : null,
-      useControlButton: body.useControlButton === true,
-      controlTopic: (typeof body.controlTopic === 'string' && body.controlTopic.trim().length) ? body.controlTopic.trim() : null,
-      controlMode: body.controlMode,
-      onValue: (typeof body.onValue === 'string') ? body.onValue : 'ON',
-      offValue: (typeof body.offValue === 'string') ? body.offValue : 'OFF',
-      autoControl: body.autoControl === true,
-      controlRetained: body.controlRetained === true,
-      controlQos: body.controlQos,
-      lastWillTopic: (typeof body.lastWillTopic === 'string' && body.lastWillTopic.trim().length) ? body.lastWillTopic.trim() : null,
-      payloadIsJson: body.payloadIsJson === true,
-      jsonFieldIndex: Number.isFinite(body.jsonFieldIndex) ? Number(body.jsonFieldIndex) : 1,
-      jsonKeyName: (typeof body.jsonKeyName === 'string' && body.jsonKeyName.trim().length) ? body.jsonKeyName.trim() : null,
-      displayTimeFromJson: body.displayTimeFromJson === true,
-      jsonTimeFieldIndex: Number.isFinite(body.jsonTimeFieldIndex) ? Number(body.jsonTimeFieldIndex) : 1,
-      jsonTimeKeyName: (typeof body.jsonTimeKeyName === 'string' && body.jsonTimeKeyName.trim().length) ? body.jsonTimeKeyName.trim() : null,
-      createdAt: body.createdAt ? new Date(body.createdAt) : new Date(),
-      userId: req.user.uid,
-      updatedAt: new Date(),
-    };
-    await db.collection('projects').updateOne({ id, userId: req.user.uid }, { $set: doc }, { upsert: true });
+    const ownerId = req.query.owner || req.user.uid;
+    if (ownerId !== req.user.uid) {
+      const access = await findAccessibleProject(db, req.user.uid, id, { ownerId, minRole: 'owner', projection: { _id: 1 } });
+      if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    }
+    let secondaryContactIds;
+    if (Array.isArray(body.secondaryContactEmails)) {
+      const { ids, outside } = await memberIdsForEmails(db, ownerId, id, body.secondaryContactEmails);
+      if (outside.length) {
+        return res.status(400).json({ ok: false, error: `secondaryContactEmails must be the owner or active members of this project: ${outside.join(', ')}` });
+      }
+      secondaryContactIds = ids;
+    }
+    const doc = projectDocFromBody(body, { ownerId, secondaryContactIds });
+    // Only the owner's own ids are created; co-owners update existing projects
+    await db.collection('projects').updateOne({ id, userId: ownerId }, { $set: doc }, { upsert: ownerId === req.user.uid });
     res.json({ ok: true });
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message });
   }
 });
 
-// Delete a project
+// Delete a project (only the account that created it; members can leave via /projects/:id/members)
 app.delete('/projects/:id', authMiddleware, async (req, res) => {
   try {
     const { id } = req.params;
     if (!id) return res.status(400).json({ ok: false, error: 'id required' });
     const db = await getDb();
     const del = await db.collection('projects').deleteOne({ id, userId: req.user.uid });
+    if (del.deletedCount) await db.collection('projectMembers').deleteMany({ userId: req.user.uid, projectId: id });
     res.json({ ok: true, deleted: del.deletedCount });
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message });
   }
 });
 
+// Readings stored between a client's Last-Event-ID (a publish time in ms) and the oldest buffered
+// event, as `reading` events. Null when there are more than MAX_STREAM_REPLAY_READINGS.
+const MAX_STREAM_REPLAY_READINGS = 1000;
+async function storedReadingEvents(db, userId, projectId, afterId, beforeId) {
+  const readings = await db.collection('readings')
+    .find({ userId, projectId, ts: { $gt: new Date(afterId), $lt: new Date(beforeId) } },
+      { projection: { _id: 0, levelMeters: 1, percent: 1, liquidLiters: 1, totalLiters: 1, ts: 1 } })
+    .sort({ ts: 1 })
+    .limit(MAX_STREAM_REPLAY_READINGS + 1)
+    .toArray();
+  if (readings.length > MAX_STREAM_REPLAY_READINGS) return null;
+  return readings.map(r => ({
+    id: new Date(r.ts).getTime(),
+    type: 'reading',
+    data: { projectId, levelMeters: r.levelMeters, percent: r.percent, liquidLiters: r.liquidLiters, totalLiters: r.totalLiters, ts: new Date(r.ts).toISOString(), stored: true, replayed: true },
+  }));
+}
+
+// Live readings and alert transitions via Server-Sent Events.
+// Events: `reading` and `alert` (JSON data). Resume with the Last-Event-ID header
+// (or ?lastEventId=) to replay recent events kept in memory. When that buffer no longer covers
+// the gap (e.g. after a restart), storeHistory projects replay stored readings instead; otherwise,
+// or when the gap is too large, a `resync` event tells the client to refetch.
+app.get('/projects/:id/stream', authMiddleware, async (req, res) => {
+  const projectId = req.params.id;
+  let project;
+  try {
+    const db = await getDb();
+    const access = await findAccessibleProject(db, req.user.uid, projectId, { ownerId: req.query.owner });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    project = access.project;
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  const userId = project.userId; // live events are keyed by the owner
+  const send = (evt) => res.write(`id: ${evt.id}\nevent: ${evt.type}\ndata: ${JSON.stringify(evt.data)}\n\n`);
+  res.write('retry: 5000\n\n');
+  const lastEventId = Number(req.get('Last-Event-ID') ?? req.query.lastEventId);
+  const resuming = Number.isFinite(lastEventId);
+  // Live events wait here while the replay is sent, so none are lost or reordered
+  let pending = resuming ? [] : null;
+  const unsubscribe = subscribeLive(userId, projectId, (evt) => (pending ? pending.push(evt) : send(evt)));
+  const heartbeatMs = Math.max(5000, Number(process.env.SSE_HEARTBEAT_MS || 25000));
+  const heartbeat = setInterval(() => res.write(`: heartbeat ${Date.now()}\n\n`), heartbeatMs);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+  // Projects without history or alerts are only bridged while someone is watching
+  if (project.storeHistory !== true && project.alertsEnabled !== true && !isProjectBridged(userId, projectId)) {
+    scheduleBridgeRefresh();
+  }
+  if (!resuming) return;
+  const { events, complete } = replayLiveEvents(userId, projectId, lastEventId);
+  try {
+    if (!complete) {
+      const stored = project.storeHistory === true
+        ? await storedReadingEvents(await getDb(), userId, projectId, lastEventId, events[0]?.id ?? Date.now())
+        : null;
+      if (stored) stored.forEach(send);
+      else res.write(`event: resync\ndata: ${JSON.stringify({ projectId, reason: 'events since Last-Event-ID are no longer available' })}\n\n`);
+    }
+  } catch (e) {
+    console.error('Stream replay error', e?.message || e);
+    res.write(`event: resync\ndata: ${JSON.stringify({ projectId, reason: 'replay failed' })}\n\n`);
+  }
+  if (res.destroyed) return;
+  events.forEach(send);
+  const live = pending;
+  pending = null;
+  live.forEach(send);
+});
+
+// --- Project sharing (roles: see members.js) ---
+// Invite by email. Body: { email, role: 'viewer' | 'operator' | 'owner' }. Requires the owner role.
+// The invitee accepts with POST /invites/:inviteId/accept after signing in with that email.
+app.post('/projects/:id/members', authMiddleware, async (req, res) => {
+  try {
+    const { email, role } = req.body || {};
+    if (!isEmailAddress(email)) return res.status(400).json({ ok: false, error: 'valid email required' });
+    if (!MEMBER_ROLES.includes(role)) return res.status(400).json({ ok: false, error: `role must be one of ${MEMBER_ROLES.join(', ')}` });
+    const db = await getDb();
+    const access = await findAccessibleProject(db, req.user.uid, req.params.id, { ownerId: req.query.owner, minRole: 'owner', projection: { name: 1 } });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    const { project } = access;
+    const address = email.trim().toLowerCase();
+    const owner = ObjectId.isValid(project.userId)
+      ? await db.collection('users').findOne({ _id: new ObjectId(project.userId) }, { projection: { email: 1 } })
+      : null;
+    if (owner?.email === address) return res.status(400).json({ ok: false, error: 'that account already owns the project' });
+    const result = await inviteMember(db, project, { email: address, role, invitedBy: req.user.uid });
+    if (!result.ok) return res.status(result.status).json({ ok: false, error: result.error });
+    let emailed = false;
+    if (isEmailEnabled()) {
+      const sent = await sendMail([address], renderInviteEmail({ projectId: project.id, projectName: project.name, role, invitedByEmail: req.user.email }));
+      emailed = sent.ok;
+      if (!sent.ok) console.warn(`[Email] invite to ${address} failed: ${sent.error}`);
+    }
+    res.json({ ok: true, emailed, item: describeMember(result.member) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Members and invites of a project (any member). Query params: all=true to include declined/revoked.
+app.get('/projects/:id/members', authMiddleware, async (req, res) => {
+  try {
+    const db = await getDb();
+    const access = await findAccessibleProject(db, req.user.uid, req.params.id, { ownerId: req.query.owner, projection: { _id: 1 } });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    const { project } = access;
+    const q = { userId: project.userId, projectId: project.id, ...(req.query.all === 'true' ? {} : { status: { $in: ['pending', 'active'] } }) };
+    const docs = await db.collection('projectMembers').find(q).sort({ invitedAt: 1 }).toArray();
+    const owner = ObjectId.isValid(project.userId)
+      ? await db.collection('users').findOne({ _id: new ObjectId(project.userId) }, { projection: { email: 1 } })
+      : null;
+    res.json({ ok: true, role: access.role, owner: { userId: project.userId, email: owner?.email || null }, items: docs.map(describeMember) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Change a member's role. Body: { role }. Requires the owner role.
+app.put('/projects/:id/members/:memberId', authMiddleware, async (req, res) => {
+  try {
+    const role = req.body?.role;
+    if (!MEMBER_ROLES.includes(role)) return res.status(400).json({ ok: false, error: `role must be one of ${MEMBER_ROLES.join(', ')}` });
+    if (!ObjectId.isValid(req.params.memberId)) return res.status(400).json({ ok: false, error: 'invalid member id' });
+    const db = await getDb();
+    const access = await findAccessibleProject(db, req.user.uid, req.params.id, { ownerId: req.query.owner, minRole: 'owner', projection: { _id: 1 } });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    const doc = await db.collection('projectMembers').findOneAndUpdate(
+      { _id: new ObjectId(req.params.memberId), userId: access.project.userId, projectId: req.params.id, status: { $in: ['pending', 'active'] } },
+      { $set: { role } },
+      { returnDocument: 'after' }
+    );
+    if (!doc) return res.status(404).json({ ok: false, error: 'member not found' });
+    res.json({ ok: true, item: describeMember(doc) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Revoke a member or pending invite (owner role), or leave a project (your own membership)
+app.delete('/projects/:id/members/:memberId', authMiddleware, async (req, res) => {
+  try {
+    const db = await getDb();
+    const access = await findAccessibleProject(db, req.user.uid, req.params.id, { ownerId: req.query.owner, projection: { _id: 1 } });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    const result = await revokeMember(db, access.project, req.params.memberId, { uid: req.user.uid, role: access.role });
+    if (!result.ok) return res.status(result.status).json({ ok: false, error: result.error });
+    refreshBridgeProjects().catch(err => console.error('Bridge refresh error', err?.message || err));
+    res.json({ ok: true, item: describeMember(result.member) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Pending invites addressed to your login email
+app.get('/me/invites', authMiddleware, async (req, res) => {
+  try {
+    const db = await getDb();
+    const docs = await db.collection('projectMembers').find({ email: String(req.user.email || '').toLowerCase(), status: 'pending' }).sort({ invitedAt: -1 }).toArray();
+    const projects = docs.length
+      ? await db.collection('projects').find({ $or: docs.map(d => ({ userId: d.userId, id: d.projectId })) }, { projection: { _id: 0, id: 1, userId: 1, name: 1 } }).toArray()
+      : [];
+    const nameOf = (d) => projects.find(p => p.userId === d.userId && p.id === d.projectId)?.name || '';
+    res.json({ ok: true, items: docs.map(d => ({ ...describeMember(d), projectId: d.projectId, projectName: nameOf(d), owner: d.userId })) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.post('/invites/:inviteId/accept', authMiddleware, async (req, res) => {
+  try {
+    const db = await getDb();
+    const result = await respondToInvite(db, req.params.inviteId, { uid: req.user.uid, email: req.user.email, accept: true });
+    if (!result.ok) return res.status(result.status).json({ ok: false, error: result.error });
+    refreshBridgeProjects().catch(err => console.error('Bridge refresh error', err?.message || err));
+    res.json({ ok: true, item: { ...describeMember(result.member), projectId: result.member.projectId, owner: result.member.userId } });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.post('/invites/:inviteId/decline', authMiddleware, async (req, res) => {
+  try {
+    const db = await getDb();
+    const result = await respondToInvite(db, req.params.inviteId, { uid: req.user.uid, email: req.user.email, accept: false });
+    if (!result.ok) return res.status(result.status).json({ ok: false, error: result.error });
+    res.json({ ok: true, item: describeMember(result.member) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// --- Calibration (strapping table) ---
+app.get('/projects/:id/calibration', authMiddleware, async (req, res) => {
+  try {
+    const db = await getDb();
+    const access = await findAccessibleProject(db, req.user.uid, req.params.id, { ownerId: req.query.owner, projection: { calibration: 1 } });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    res.json({ ok: true, calibration: access.project.calibration || null });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Upload/replace the table.
+// JSON body: { points: [{ levelMeters, liters }] } (or [[level, liters], ...])
+// CSV body (Content-Type: text/csv): "level,liters" rows, optional header
+app.put('/projects/:id/calibration', authMiddleware, express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), async (req, res) => {
+  try {
+    const parsed = typeof req.body === 'string' ? pointsFromCsv(req.body) : pointsFromJson(req.body);
+    if (parsed.error) return res.status(400).json({ ok: false, error: parsed.error });
+    const db = await getDb();
+    const access = await findAccessibleProject(db, req.user.uid, req.params.id, { ownerId: req.query.owner, minRole: 'owner' });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    const { project } = access;
+    const points = parsed.points.sort((a, b) => a.levelMeters - b.levelMeters);
+    const invalid = validateCalibration(points, tankHeightMeters(project));
+    if (invalid) return res.status(400).json({ ok: false, error: `invalid calibration: ${invalid}` });
+    const calibration = { points, updatedAt: new Date() };
+    await db.collection('projects').updateOne({ id: req.params.id, userId: project.userId }, { $set: { calibration, updatedAt: new Date() } });
+    res.json({ ok: true, points: points.length });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.delete('/projects/:id/calibration', authMiddleware, async (req, res) => {
+  try {
+    const db = await getDb();
+    const access = await findAccessibleProject(db, req.user.uid, req.params.id, { ownerId: req.query.owner, minRole: 'owner', projection: { _id: 1 } });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    await db.collection('projects').updateOne({ id: req.params.id, userId: access.project.userId }, { $unset: { calibration: '' } });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// --- Alert history ---
+function parseDateParam(value, name) {
+  if (value == null || value === '') return { date: null };
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return { error: `invalid ${name}` };
+  return { date };
+}
+
+// Query params: from, to (ISO), kind (level|rate|connectivity|forecast), limit (default 50, max 500), offset (default 0). Newest first.
+app.get('/projects/:id/alerts', authMiddleware, async (req, res) => {
+  try {
+    const from = parseDateParam(req.query.from, 'from');
+    const to = parseDateParam(req.query.to, 'to');
+    if (from.error || to.error) return res.status(400).json({ ok: false, error: from.error || to.error });
+    const limit = Math.min(Math.max(Number(req.query.limit || 50), 1), 500);
+    const offset = Math.max(Number(req.query.offset || 0), 0);
+    if (!Number.isFinite(limit) || !Number.isFinite(offset)) return res.status(400).json({ ok: false, error: 'invalid limit/offset' });
+    const db = await getDb();
+    const access = await findAccessibleProject(db, req.user.uid, req.params.id, { ownerId: req.query.owner, projection: { _id: 1 } });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    const { items, total } = await listAlertEvents(db, { projectId: req.params.id, userId: access.project.userId, from: from.date, to: to.date, kind: req.query.kind, limit, offset });
+    res.json({ ok: true, items, total, limit, offset });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Counts per state, pushes sent and seconds spent in each state. Query params: from, to (ISO)
+app.get('/projects/:id/alerts/summary', authMiddleware, async (req, res) => {
+  try {
+    const from = parseDateParam(req.query.from, 'from');
+    const to = parseDateParam(req.query.to, 'to');
+    if (from.error || to.error) return res.status(400).json({ ok: false, error: from.error || to.error });
+    const db = await getDb();
+    const access = await findAccessibleProject(db, req.user.uid, req.params.id, { ownerId: req.query.owner, projection: { _id: 1 } });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    const summary = await summarizeAlertEvents(db, { projectId: req.params.id, userId: access.project.userId, from: from.date, to: to.date });
+    res.json({ ok: true, summary });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Consumption, refills and hourly usage from stored readings, per calendar day in `tz`.
+// Query params: from, to (YYYY-MM-DD, or ISO timestamps; default the last 30 days), tz (IANA, default UTC),
+// refresh=true to ignore cached days. Volumes are liters with geometry/calibration, else meters.
+app.get('/projects/:id/analytics', authMiddleware, async (req, res) => {
+  try {
+    const tz = req.query.tz || 'UTC';
+    if (!isValidTimeZone(tz)) return res.status(400).json({ ok: false, error: 'invalid tz' });
+    const toDayParam = (value, name) => {
+      if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        const valid = !Number.isNaN(Date.parse(`${value}T00:00:00Z`)) && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+        return valid ? { day: value } : { error: `invalid ${name}` };
+      }
+      const parsed = parseDateParam(value, name);
+      return parsed.error ? parsed : { day: parsed.date ? dayOf(parsed.date, tz) : null };
+    };
+    const from = toDayParam(req.query.from, 'from');
+    const to = toDayParam(req.query.to, 'to');
+    if (from.error || to.error) return res.status(400).json({ ok: false, error: from.error || to.error });
+    const toDay = to.day || dayOf(new Date(), tz);
+    const fromDay = from.day || dayOf(new Date(Date.now() - 29 * 86400000), tz);
+    if (fromDay > toDay) return res.status(400).json({ ok: false, error: 'from must not be after to' });
+    if (daysBetween(fromDay, toDay).length > MAX_ANALYTICS_DAYS) {
+      return res.status(400).json({ ok: false, error: `at most ${MAX_ANALYTICS_DAYS} days per request` });
+    }
+    const db = await getDb();
+    const access = await findAccessibleProject(db, req.user.uid, req.params.id, { ownerId: req.query.owner });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    const analytics = await projectAnalytics(db, access.project, { fromDay, toDay, tz, refresh: req.query.refresh === 'true' });
+    res.json({ ok: true, from: fromDay, to: toDay, analytics });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Time to low/empty (falling) or high/full (rising) from the trend of recent stored readings.
+// Query params: lookbackHours (default project forecastLookbackSec or 6 h). Falls back to the bridge's
+// in-memory window when there is not enough stored history (e.g. storeHistory off).
+app.get('/projects/:id/forecast', authMiddleware, async (req, res) => {
+  try {
+    let lookbackSec;
+    if (req.query.lookbackHours != null) {
+      lookbackSec = Number(req.query.lookbackHours) * 3600;
+      if (!Number.isFinite(lookbackSec) || lookbackSec < MIN_LOOKBACK_SEC || lookbackSec > MAX_LOOKBACK_SEC) {
+        return res.status(400).json({ ok: false, error: `lookbackHours must be between ${MIN_LOOKBACK_SEC / 3600} and ${MAX_LOOKBACK_SEC / 3600}` });
+      }
+    }
+    const db = await getDb();
+    const access = await findAccessibleProject(db, req.user.uid, req.params.id, { ownerId: req.query.owner });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    const forecast = await projectForecast(db, access.project, { lookbackSec });
+    const live = getForecast(access.project.userId, req.params.id);
+    if (forecast.trend === 'unknown' && live && lookbackSec == null) return res.json({ ok: true, source: 'bridge', forecast: live });
+    res.json({ ok: true, source: 'readings', forecast });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Bridge diagnostics: connectivity, last decode error and spike filter counters (since the bridge picked the project up)
+app.get('/projects/:id/diagnostics', authMiddleware, async (req, res) => {
+  try {
+    const db = await getDb();
+    const access = await findAccessibleProject(db, req.user.uid, req.params.id, { ownerId: req.query.owner, projection: { _id: 1, sensorStatus: 1, sampleFilter: 1 } });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    const { project } = access;
+    const live = getProjectDiagnostics(project.userId, req.params.id);
+    res.json({
+      ok: true,
+      bridged: !!live,
+      diagnostics: live || { sensorStatus: project.sensorStatus || null, lastDecodeError: null, lastDeviceTimeError: null, sampleFilter: project.sampleFilter || null, filterStats: null },
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Acknowledge an active low/high alert (id from alert payload `alertId` or /projects/:id/alerts).
+// Stops escalation reminders until the tank recovers.
+app.post('/alerts/:id/ack', authMiddleware, async (req, res) => {
+  try {
+    const db = await getDb();
+    const result = await acknowledgeAlert(db, req.params.id, req.user.uid);
+    if (!result.ok) return res.status(result.status || 400).json({ ok: false, error: result.error });
+    res.json({ ok: true, alert: result.event });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// --- Device API keys ---
+// Body: { name?, expiresAt? (ISO) }. The plaintext key is only returned here.
+app.post('/projects/:id/keys', authMiddleware, async (req, res) => {
+  try {
+    const { name, expiresAt } = req.body || {};
+    let expires = null;
+    if (expiresAt != null) {
+      expires = new Date(expiresAt);
+      if (Number.isNaN(expires.getTime())) return res.status(400).json({ ok: false, error: 'invalid expiresAt' });
+      if (expires <= new Date()) return res.status(400).json({ ok: false, error: 'expiresAt must be in the future' });
+    }
+    const db = await getDb();
+    const access = await findAccessibleProject(db, req.user.uid, req.params.id, { ownerId: req.query.owner, minRole: 'owner', projection: { _id: 1 } });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    const { keyId, key } = generateDeviceKey();
+    const doc = {
+      keyId,
+      hash: hashDeviceKey(key),
+      projectId: req.params.id,
+      userId: access.project.userId, // ingested readings belong to the project owner
+      createdBy: req.user.uid,
+      name: typeof name === 'string' ? name.trim() : '',
+      createdAt: new Date(),
+      expiresAt: expires,
+      lastUsedAt: null,
+      revokedAt: null,
+    };
+    await db.collection('deviceKeys').insertOne(doc);
+    res.json({ ok: true, key, item: describeDeviceKey(doc) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.get('/projects/:id/keys', authMiddleware, async (req, res) => {
+  try {
+    const db = await getDb();
+    const access = await findAccessibleProject(db, req.user.uid, req.params.id, { ownerId: req.query.owner, minRole: 'owner', projection: { _id: 1 } });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    const docs = await db.collection('deviceKeys').find({ projectId: req.params.id, userId: access.project.userId }).sort({ createdAt: -1 }).toArray();
+    res.json({ ok: true, items: docs.map(describeDeviceKey) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.delete('/projects/:id/keys/:keyId', authMiddleware, async (req, res) => {
+  try {
+    const db = await getDb();
+    const access = await findAccessibleProject(db, req.user.uid, req.params.id, { ownerId: req.query.owner, minRole: 'owner', projection: { _id: 1 } });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    const upd = await db.collection('deviceKeys').updateOne(
+      { keyId: req.params.keyId, projectId: req.params.id, userId: access.project.userId, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    if (!upd.matchedCount) return res.status(404).json({ ok: false, error: 'key not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// --- Remote control ---
+// Body: { action: 'on' | 'off' }. Publishes onValue/offValue on the project's controlTopic with its
+// controlQos/controlRetained through the bridge client for the broker. 200 on broker ack,
+// 503 when the broker is not connected, 504 when no ack arrives in CONTROL_ACK_TIMEOUT_MS.
+app.post('/projects/:id/control', authMiddleware, async (req, res) => {
+  try {
+    const action = req.body?.action;
+    const db = await getDb();
+    const access = await findAccessibleProject(db, req.user.uid, req.params.id, { ownerId: req.query.owner, minRole: 'operator' });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    const result = await publishControl(access.project, action, { issuedBy: req.user.uid, source: 'api' });
+    const command = result.command ? { id: String(result.command._id), status: result.command.status, topic: result.command.topic, payload: result.command.payload, qos: result.command.qos, retain: result.command.retain, latencyMs: result.command.latencyMs } : null;
+    if (!result.ok) return res.status(result.status).json({ ok: false, error: result.error, command });
+    res.json({ ok: true, command });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Control audit log, newest first. Query params: limit (default 50, max 500), offset
+app.get('/projects/:id/control/log', authMiddleware, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const db = await getDb();
+    const access = await findAccessibleProject(db, req.user.uid, req.params.id, { ownerId: req.query.owner, projection: { _id: 1 } });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    const { items, total } = await listControlCommands(db, { projectId: req.params.id, userId: access.project.userId, limit, offset });
+    res.json({ ok: true, total, items });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// HTTP callbacks for alert transitions, rate-of-change hits, connectivity changes and predicted lows.
+// Body: { url, events?: ['alert','rate','connectivity','forecast'], description?, enabled? }.
+// The signing secret is returned on create (and on PUT with rotateSecret: true) only.
+app.post('/projects/:id/webhooks', authMiddleware, async (req, res) => {
+  try {
+    const { fields, error } = await normalizeWebhookInput(req.body || {});
+    if (error) return res.status(400).json({ ok: false, error });
+    const db = await getDb();
+    const access = await findAccessibleProject(db, req.user.uid, req.params.id, { ownerId: req.query.owner, minRole: 'owner', projection: { _id: 1 } });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    const secret = generateWebhookSecret();
+    const doc = {
+      webhookId: generateWebhookId(),
+      projectId: req.params.id,
+      userId: access.project.userId,
+      ...fields,
+      secret,
+      createdAt: new Date(),
+      updatedAt: null,
+    };
+    await db.collection('webhooks').insertOne(doc);
+    res.json({ ok: true, secret, item: describeWebhook(doc) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.get('/projects/:id/webhooks', authMiddleware, async (req, res) => {
+  try {
+    const db = await getDb();
+    const access = await findAccessibleProject(db, req.user.uid, req.params.id, { ownerId: req.query.owner, minRole: 'owner', projection: { _id: 1 } });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    const docs = await db.collection('webhooks').find({ projectId: req.params.id, userId: access.project.userId }).sort({ createdAt: -1 }).toArray();
+    res.json({ ok: true, items: docs.map(describeWebhook) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.get('/projects/:id/webhooks/:webhookId', authMiddleware, async (req, res) => {
+  try {
+    const db = await getDb();
+    const access = await findAccessibleProject(db, req.user.uid, req.params.id, { ownerId: req.query.owner, minRole: 'owner', projection: { _id: 1 } });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    const doc = await db.collection('webhooks').findOne({ webhookId: req.params.webhookId, projectId: req.params.id, userId: access.project.userId });
+    if (!doc) return res.status(404).json({ ok: false, error: 'webhook not found' });
+    res.json({ ok: true, item: describeWebhook(doc) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.put('/projects/:id/webhooks/:webhookId', authMiddleware, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { fields, error } = await normalizeWebhookInput(body, true);
+    if (error) return res.status(400).json({ ok: false, error });
+    const secret = body.rotateSecret === true ? generateWebhookSecret() : null;
+    if (secret) fields.secret = secret;
+    const db = await getDb();
+    const access = await findAccessibleProject(db, req.user.uid, req.params.id, { ownerId: req.query.owner, minRole: 'owner', projection: { _id: 1 } });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    const doc = await db.collection('webhooks').findOneAndUpdate(
+      { webhookId: req.params.webhookId, projectId: req.params.id, userId: access.project.userId },
+      { $set: { ...fields, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    if (!doc) return res.status(404).json({ ok: false, error: 'webhook not found' });
+    res.json({ ok: true, ...(secret ? { secret } : {}), item: describeWebhook(doc) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.delete('/projects/:id/webhooks/:webhookId', authMiddleware, async (req, res) => {
+  try {
+    const db = await getDb();
+    const access = await findAccessibleProject(db, req.user.uid, req.params.id, { ownerId: req.query.owner, minRole: 'owner', projection: { _id: 1 } });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    const del = await db.collection('webhooks').deleteOne({ webhookId: req.params.webhookId, projectId: req.params.id, userId: access.project.userId });
+    if (!del.deletedCount) return res.status(404).json({ ok: false, error: 'webhook not found' });
+    await db.collection('webhookDeliveries').deleteMany({ webhookId: req.params.webhookId, userId: access.project.userId });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Sends a signed 'ping' delivery now and returns the outcome of the first attempt
+app.post('/projects/:id/webhooks/:webhookId/test', authMiddleware, async (req, res) => {
+  try {
+    const db = await getDb();
+    const access = await findAccessibleProject(db, req.user.uid, req.params.id, { ownerId: req.query.owner, minRole: 'owner', projection: { _id: 1 } });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    const hook = await db.collection('webhooks').findOne({ webhookId: req.params.webhookId, projectId: req.params.id, userId: access.project.userId });
+    if (!hook) return res.status(404).json({ ok: false, error: 'webhook not found' });
+    const result = await sendTestDelivery(db, hook);
+    res.json({ ok: true, result });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Delivery log, newest first. Query params: status (pending|success|failed), limit (default 50, max 200), offset
+app.get('/projects/:id/webhooks/:webhookId/deliveries', authMiddleware, async (req, res) => {
+  try {
+    const status = req.query.status;
+    if (status != null && !['pending', 'success', 'failed'].includes(status)) {
+      return res.status(400).json({ ok: false, error: 'status must be pending, success or failed' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const db = await getDb();
+    const access = await findAccessibleProject(db, req.user.uid, req.params.id, { ownerId: req.query.owner, minRole: 'owner', projection: { _id: 1 } });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    const hook = await db.collection('webhooks').findOne({ webhookId: req.params.webhookId, projectId: req.params.id, userId: access.project.userId }, { projection: { _id: 1 } });
+    if (!hook) return res.status(404).json({ ok: false, error: 'webhook not found' });
+    const q = { webhookId: req.params.webhookId, userId: access.project.userId, ...(status ? { status } : {}) };
+    const col = db.collection('webhookDeliveries');
+    const [items, total] = await Promise.all([
+      col.find(q, { projection: { lastResponse: 0 } }).sort({ createdAt: -1, _id: -1 }).skip(offset).limit(limit).toArray(),
+      col.countDocuments(q),
+    ]);
+    res.json({ ok: true, total, items });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Resends a logged delivery (any status) with a fresh attempt budget
+app.post('/projects/:id/webhooks/:webhookId/deliveries/:deliveryId/redeliver', authMiddleware, async (req, res) => {
+  try {
+    const db = await getDb();
+    const access = await findAccessibleProject(db, req.user.uid, req.params.id, { ownerId: req.query.owner, minRole: 'owner', projection: { _id: 1 } });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    const { ok, status, error, result } = await redeliverById(db, req.params.deliveryId, { webhookId: req.params.webhookId, projectId: req.params.id, userId: access.project.userId });
+    if (!ok) return res.status(status || 400).json({ ok: false, error });
+    res.json({ ok: true, result });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Ingest readings with a device key (X-Device-Key or "Authorization: ApiKey <key>").
+// Body: one reading, an array / { items } of readings, or NDJSON. projectId comes from the key;
+// readings are stored for the project owner and deduped like /readings/batch.
+app.post('/ingest', deviceKeyMiddleware, bulkJsonBody, express.text({ type: ['application/x-ndjson', 'application/ndjson'], limit: '5mb' }), async (req, res) => {
+  try {
+    const entries = entriesFromBody(req.body, true);
+    if (!entries.length) return res.status(400).json({ ok: false, error: 'no readings provided' });
+    if (entries.length > MAX_BATCH_ITEMS) return res.status(400).json({ ok: false, error: `at most ${MAX_BATCH_ITEMS} readings per batch` });
+    const { projectId, userId } = req.deviceKey;
+    const db = await getDb();
+    const project = await db.collection('projects').findOne({ id: projectId, userId }, { projection: { _id: 1 } });
+    if (!project) return res.status(403).json({ ok: false, error: 'project no longer exists' });
+    const results = await insertReadingsBatch(db, entries, userId, { projectId });
+    await invalidateAnalyticsForBatch(db, userId, results);
+    res.json({ ok: true, ...summarizeBatch(results), results });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Whose readings a GET /readings* request reads: the project owner's when the caller may see the
+// project (?owner= picks a shared one), else the caller's own (readings can exist without a project).
+async function readingsAccess(db, req, projectId) {
+  const access = await findAccessibleProject(db, req.user.uid, projectId, { ownerId: req.query.owner });
+  if (access.ok) return { ok: true, userId: access.project.userId, project: access.project };
+  if (access.status === 404 && !req.query.owner) return { ok: true, userId: req.user.uid, project: null };
+  return access;
+}
+
 // Store a reading
 // Body: { projectId: string, levelMeters: number, percent: number, liquidLiters: number, totalLiters: number, ts?: ISOString }
 app.post('/readings', authMiddleware, async (req, res) => {
@@ -282,25 +1084,45 @@ app.post('/readings', authMiddleware, async (req, res) => {
       userId: req.user.uid,
     };
     await db.collection('readings').insertOne(doc);
+    // Only readings for past days can touch cached analytics
+    if (Date.now() - now.getTime() > 12 * 3600000) await invalidateAnalytics(db, req.user.uid, projectId, now);
     res.json({ ok: true });
+  } catch (e) {
+    if (e?.code === 11000) return res.json({ ok: true, duplicate: true });
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Store many readings at once (e.g. devices flushing offline buffers)
+// Body: JSON array of readings (same fields as POST /readings, levelMeters required),
+//   { items: [...] }, or NDJSON with Content-Type: application/x-ndjson
+// Readings are deduped on (projectId, ts); the response reports each item's status.
+app.post('/readings/batch', authMiddleware, bulkJsonBody, express.text({ type: ['application/x-ndjson', 'application/ndjson'], limit: '5mb' }), async (req, res) => {
+  try {
+    const entries = entriesFromBody(req.body);
+    if (!entries.length) return res.status(400).json({ ok: false, error: 'no readings provided' });
+    if (entries.length > MAX_BATCH_ITEMS) return res.status(400).json({ ok: false, error: `at most ${MAX_BATCH_ITEMS} readings per batch` });
+
+    const db = await getDb();
+    const results = await insertReadingsBatch(db, entries, req.user.uid);
+    await invalidateAnalyticsForBatch(db, req.user.uid, results);
+    res.json({ ok: true, ...summarizeBatch(results), results });
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message });
   }
 });
 
 // Query readings for charts
-// Query params: projectId (required), from (ISO), to (ISO), limit (default 500)
+// Query params: projectId (required), owner (userId, for shared projects), from (ISO), to (ISO), limit (default 500)
 app.get('/readings', authMiddleware, async (req, res) => {
   try {
     const { projectId, from, to, limit } = req.query;
     if (!projectId) return res.status(400).json({ ok: false, error: 'projectId required' });
     const db = await getDb();
-    const q = { projectId, userId: req.user.uid };
-    if (from || to) {
-      q.ts = {};
-      if (from) q.ts.$gte = new Date(from);
-      if (to) q.ts.$lte = new Date(to);
-    }
+    const access = await readingsAccess(db, req, projectId);
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    const { query: q, error } = buildReadingsQuery({ projectId, userId: access.userId, from, to });
+    if (error) return res.status(400).json({ ok: false, error });
     const lim = Math.min(Number(limit || 500), 5000);
     const items = await db
       .collection('readings')
@@ -308,12 +1130,114 @@ app.get('/readings', authMiddleware, async (req, res) => {
       .sort({ ts: 1 })
       .limit(lim)
       .toArray();
+    items.forEach(r => fillVolume(access.project, r));
     res.json({ ok: true, items });
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message });
   }
 });
 
+// Downsampled readings for long chart ranges (min/max/avg/first/last of levelMeters per bucket)
+// Query params: projectId (required), owner?, from, to (ISO; default last 7 days),
+//   bucket (e.g. 30s, 5m, 1h, 1d) or points (target bucket count, default 500, max 5000)
+app.get('/readings/aggregate', authMiddleware, async (req, res) => {
+  try {
+    const { projectId, bucket, points } = req.query;
+    const toDate = req.query.to ? new Date(req.query.to) : new Date();
+    // Checked before the default from is derived from it, so a bad `to` is reported by name
+    if (Number.isNaN(toDate.getTime())) return res.status(400).json({ ok: false, error: 'invalid to' });
+    const fromDate = req.query.from ? new Date(req.query.from) : new Date(toDate.getTime() - 7 * 86400000);
+    if (!projectId) return res.status(400).json({ ok: false, error: 'projectId required' });
+    const db = await getDb();
+    const access = await readingsAccess(db, req, projectId);
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    const { query, error } = buildReadingsQuery({ projectId, userId: access.userId, from: fromDate, to: toDate });
+    if (error) return res.status(400).json({ ok: false, error });
+    if (fromDate > toDate) return res.status(400).json({ ok: false, error: 'from must be before to' });
+    let bucketMs;
+    if (bucket) {
+      bucketMs = parseBucket(bucket);
+      if (!bucketMs) return res.status(400).json({ ok: false, error: 'invalid bucket (use e.g. 30s, 5m, 1h, 1d)' });
+      if ((toDate - fromDate) / bucketMs > MAX_AGG_POINTS) {
+        return res.status(400).json({ ok: false, error: `bucket too small for range (max ${MAX_AGG_POINTS} buckets)` });
+      }
+    } else {
+      const target = Number(points || 500);
+      if (!Number.isFinite(target) || target < 1) return res.status(400).json({ ok: false, error: 'invalid points' });
+      bucketMs = autoBucketMs(fromDate.getTime(), toDate.getTime(), target);
+    }
+    const items = await aggregateReadings(db, query, bucketMs);
+    res.json({ ok: true, bucket: formatBucket(bucketMs), bucketMs, from: fromDate, to: toDate, items });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Export readings as a file, streamed from a cursor (no row cap)
+// Query params: projectId (required), owner?, from, to (ISO), format=csv|ndjson (default csv),
+//   tz (IANA zone for timestamps, default UTC)
+app.get('/readings/export', authMiddleware, async (req, res) => {
+  let cursor;
+  try {
+    const { projectId, from, to } = req.query;
+    const format = String(req.query.format || 'csv').toLowerCase();
+    const tz = req.query.tz || 'UTC';
+    if (format !== 'csv' && format !== 'ndjson') return res.status(400).json({ ok: false, error: 'format must be csv or ndjson' });
+    if (!isValidTimeZone(tz)) return res.status(400).json({ ok: false, error: 'invalid tz' });
+    if (!projectId) return res.status(400).json({ ok: false, error: 'projectId required' });
+    const db = await getDb();
+    const access = await readingsAccess(db, req, projectId);
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    const { query, error } = buildReadingsQuery({ projectId, userId: access.userId, from, to });
+    if (error) return res.status(400).json({ ok: false, error });
+    const { project } = access;
+    const stamp = (d) => (d ? new Date(d).toISOString().slice(0, 10) : null);
+    const safeId = String(projectId).replace(/[^A-Za-z0-9_-]/g, '_');
+    const filename = [safeId, stamp(from), stamp(to)].filter(Boolean).join('_') + (format === 'csv' ? '.csv' : '.ndjson');
+    res.set({
+      'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store',
+    });
+    const columns = ['ts', 'levelMeters', 'percent', 'liquidLiters', 'totalLiters'];
+    if (format === 'csv') res.write(columns.join(',') + '\n');
+    cursor = db.collection('readings').find(query, { projection: { _id: 0 } }).sort({ ts: 1 });
+    let aborted = false;
+    res.on('close', () => { aborted = true; cursor.close().catch(() => {}); });
+    for await (const r of cursor) {
+      if (aborted) break;
+      fillVolume(project, r);
+      const row = {
+        ts: r.ts ? formatInTimeZone(new Date(r.ts), tz) : null,
+        levelMeters: r.levelMeters ?? null,
+        percent: r.percent ?? null,
+        liquidLiters: r.liquidLiters ?? null,
+        totalLiters: r.totalLiters ?? null,
+      };
+      const line = format === 'csv'
+        ? columns.map(c => (row[c] == null ? '' : String(row[c]))).join(',') + '\n'
+        : JSON.stringify(row) + '\n';
+      if (!res.write(line)) await once(res, 'drain');
+    }
+    res.end();
+  } catch (e) {
+    if (cursor) cursor.close().catch(() => {});
+    if (!res.headersSent) return res.status(500).json({ ok: false, error: e.message });
+    console.error('Export error', e?.message || e);
+    res.end();
+  }
+});
+
+// Body parser failures (oversized or malformed bodies) answer in JSON like every route
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  if (err?.type === 'entity.too.large') return res.status(413).json({ ok: false, error: `request body too large (limit ${err.limit} bytes)` });
+  if (err?.type === 'entity.parse.failed') return res.status(400).json({ ok: false, error: `invalid JSON body: ${err.message}` });
+  if (err?.expose && err.status >= 400 && err.status < 500) return res.status(err.status).json({ ok: false, error: err.message });
+  console.error('Unhandled error', err?.message || err);
+  res.status(500).json({ ok: false, error: 'internal error' });
+});
+
 const port = Number(process.env.PORT);
 if (!port || Number.isNaN(port)) {
   console.error('Missing required PORT environment variable. On Render, this is injected automatically.');
@@ -336,6 +1260,7 @@ initDb().then(() => {
   });
   // Start MQTT bridge after DB init
   initFcm();
+  initEmail();
   startBridge().catch(err => console.error('Bridge start error', err));
 });
 
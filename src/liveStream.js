@@ -0,0 +1,60 @@
+import { EventEmitter } from 'node:events';
+import dotenv from 'dotenv';
+import { projectKey, parseProjectKey } from './projectKey.js';
+
+dotenv.config();
+
+// --- Live event hub for SSE ---
+// The bridge publishes readings and alert transitions here; GET /projects/:id/stream
+// subscribes. A short ring buffer per project lets clients resume with Last-Event-ID.
+// Event ids are the publish time in ms (bumped by one when events share a millisecond), so they
+// only increase, also across restarts, and tell when a client last heard from the stream.
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+const bufferSize = Math.max(0, Number(process.env.LIVE_BUFFER_SIZE || 100));
+const recent = new Map(); // projectKey -> [{ id, type, data }]
+const evictedUpTo = new Map(); // projectKey -> id of the newest event dropped from the buffer
+const listenerCounts = new Map(); // projectKey -> number of open streams
+const startedAt = Date.now();
+let seq = startedAt;
+
+export function publishLiveEvent(userId, projectId, type, data) {
+  const key = projectKey(userId, projectId);
+  seq = Math.max(seq + 1, Date.now());
+  const evt = { id: seq, type, data };
+  if (bufferSize > 0) {
+    if (!recent.has(key)) recent.set(key, []);
+    const list = recent.get(key);
+    list.push(evt);
+    if (list.length > bufferSize) evictedUpTo.set(key, list.splice(0, list.length - bufferSize).pop().id);
+  }
+  bus.emit(key, evt);
+  return evt;
+}
+
+// Buffered events after afterId. `complete` is false when some may be missing: afterId is from
+// before this process started (or from another instance), or newer events were already dropped.
+export function replayLiveEvents(userId, projectId, afterId) {
+  const key = projectKey(userId, projectId);
+  const list = recent.get(key) || [];
+  const complete = bufferSize > 0 && afterId >= startedAt && afterId <= seq && afterId >= (evictedUpTo.get(key) || 0);
+  return { events: list.filter(e => e.id > afterId), complete };
+}
+
+// Returns an unsubscribe function.
+export function subscribeLive(userId, projectId, listener) {
+  const key = projectKey(userId, projectId);
+  bus.on(key, listener);
+  listenerCounts.set(key, (listenerCounts.get(key) || 0) + 1);
+  return () => {
+    bus.off(key, listener);
+    const n = (listenerCounts.get(key) || 1) - 1;
+    if (n <= 0) listenerCounts.delete(key); else listenerCounts.set(key, n);
+  };
+}
+
+// Projects with at least one open stream: [{ userId, projectId }]
+export function activeLiveProjects() {
+  return Array.from(listenerCounts.keys()).map(parseProjectKey);
+}
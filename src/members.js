@@ -0,0 +1,151 @@
+import { ObjectId } from 'mongodb';
+import { projectKey } from './projectKey.js';
+
+// --- Project sharing ---
+// Members of a project live in `projectMembers`:
+// { userId (project owner), projectId, email, memberUserId, role, status: 'pending' | 'active' | 'declined' | 'revoked',
+//   invitedBy, invitedAt, acceptedAt, revokedAt, revokedBy }
+// Roles, each including the previous one:
+//   viewer   - sees the project, its readings, alerts, analytics and live stream; receives its alerts
+//   operator - sends control commands and acknowledges alerts
+//   owner    - edits the project and manages members, webhooks, device keys and calibration
+// The account that created the project (project.userId) is always owner and is the only one who
+// can delete it. Active member ids are mirrored into project.sharedWith, which push/email
+// recipients, device subscriptions and the bridge read.
+
+export const MEMBER_ROLES = ['viewer', 'operator', 'owner'];
+const ROLE_RANK = { viewer: 1, operator: 2, owner: 3 };
+
+export function roleAtLeast(role, minRole) {
+  return (ROLE_RANK[role] || 0) >= ROLE_RANK[minRole];
+}
+
+// Resolves a project id for a user: their own project first, else one shared with them.
+// ownerId picks the owner when several projects with this id are shared with the user.
+// Returns { ok, project, role } or { ok: false, status, error }.
+export async function findAccessibleProject(db, uid, projectId, { ownerId = null, minRole = 'viewer', projection } = {}) {
+  const col = db.collection('projects');
+  const opts = projection ? { projection: { ...projection, id: 1, userId: 1 } } : {};
+  if (!projectId) return { ok: false, status: 400, error: 'projectId required' };
+  let project = null;
+  let role = null;
+  if (!ownerId || ownerId === uid) {
+    project = await col.findOne({ id: projectId, userId: uid }, opts);
+    if (project) role = 'owner';
+  }
+  if (!project && ownerId !== uid) {
+    const shared = await col.find({ id: projectId, sharedWith: uid, ...(ownerId ? { userId: ownerId } : {}) }, opts).limit(2).toArray();
+    if (shared.length > 1) return { ok: false, status: 409, error: 'several projects shared with you use this id; pass owner=<userId>' };
+    if (shared.length) {
+      const member = await db.collection('projectMembers').findOne(
+        { userId: shared[0].userId, projectId, memberUserId: uid, status: 'active' },
+        { projection: { role: 1 } }
+      );
+      if (member) { project = shared[0]; role = member.role; }
+    }
+  }
+  if (!project) return { ok: false, status: 404, error: 'project not found' };
+  if (!roleAtLeast(role, minRole)) return { ok: false, status: 403, error: `requires the ${minRole} role on this project` };
+  return { ok: true, project, role };
+}
+
+// Roles of uid on the given projects (documents with id/userId), keyed by projectKey(userId, id)
+export async function rolesForProjects(db, uid, projects) {
+  const roles = new Map();
+  const shared = projects.filter(p => p.userId !== uid);
+  for (const p of projects) if (p.userId === uid) roles.set(projectKey(p.userId, p.id), 'owner');
+  if (shared.length) {
+    const members = await db.collection('projectMembers')
+      .find({ memberUserId: uid, status: 'active', $or: shared.map(p => ({ userId: p.userId, projectId: p.id })) }, { projection: { userId: 1, projectId: 1, role: 1 } })
+      .toArray();
+    for (const m of members) roles.set(projectKey(m.userId, m.projectId), m.role);
+  }
+  return roles;
+}
+
+export function describeMember(doc) {
+  return {
+    id: String(doc._id),
+    email: doc.email,
+    userId: doc.memberUserId || null,
+    role: doc.role,
+    status: doc.status,
+    invitedBy: doc.invitedBy || null,
+    invitedAt: doc.invitedAt || null,
+    acceptedAt: doc.acceptedAt || null,
+    revokedAt: doc.revokedAt || null,
+  };
+}
+
+// Resolves emails to user ids of the project owner and its active members. Emails of anyone else
+// (registered or not) are returned in `outside`, so callers cannot probe which emails have accounts.
+export async function memberIdsForEmails(db, ownerId, projectId, emails) {
+  const wanted = Array.from(new Set(emails.map(e => String(e).trim().toLowerCase()).filter(Boolean)));
+  if (!wanted.length) return { ids: [], outside: [] };
+  const byEmail = new Map();
+  const owner = ObjectId.isValid(ownerId)
+    ? await db.collection('users').findOne({ _id: new ObjectId(ownerId) }, { projection: { email: 1 } })
+    : null;
+  if (owner?.email) byEmail.set(owner.email.toLowerCase(), ownerId);
+  const members = await db.collection('projectMembers')
+    .find({ userId: ownerId, projectId, status: 'active', memberUserId: { $ne: null }, email: { $in: wanted } }, { projection: { email: 1, memberUserId: 1 } })
+    .toArray();
+  for (const m of members) byEmail.set(m.email, m.memberUserId);
+  return {
+    ids: Array.from(new Set(wanted.filter(e => byEmail.has(e)).map(e => byEmail.get(e)))),
+    outside: wanted.filter(e => !byEmail.has(e)),
+  };
+}
+
+// Mirrors active members into project.sharedWith
+export async function syncSharedWith(db, ownerId, projectId) {
+  const active = await db.collection('projectMembers')
+    .find({ userId: ownerId, projectId, status: 'active', memberUserId: { $ne: null } }, { projection: { memberUserId: 1 } })
+    .toArray();
+  const sharedWith = Array.from(new Set(active.map(m => m.memberUserId).filter(id => id !== ownerId)));
+  await db.collection('projects').updateOne({ id: projectId, userId: ownerId }, { $set: { sharedWith } });
+  return sharedWith;
+}
+
+// Creates (or renews a declined/revoked) invite. Returns { ok, member } or { ok: false, status, error }.
+export async function inviteMember(db, project, { email, role, invitedBy }) {
+  const col = db.collection('projectMembers');
+  const filter = { userId: project.userId, projectId: project.id, email };
+  const existing = await col.findOne(filter);
+  if (existing && (existing.status === 'pending' || existing.status === 'active')) {
+    return { ok: false, status: 409, error: `${email} is already ${existing.status === 'active' ? 'a member' : 'invited'}` };
+  }
+  const fields = { role, status: 'pending', memberUserId: null, invitedBy, invitedAt: new Date(), acceptedAt: null, revokedAt: null, revokedBy: null };
+  const member = await col.findOneAndUpdate(filter, { $set: fields }, { upsert: true, returnDocument: 'after' });
+  return { ok: true, member };
+}
+
+// Accepts or declines a pending invite addressed to `email`. Returns { ok, member } or { ok: false, status, error }.
+export async function respondToInvite(db, inviteId, { uid, email, accept }) {
+  if (!ObjectId.isValid(inviteId)) return { ok: false, status: 400, error: 'invalid invite id' };
+  const col = db.collection('projectMembers');
+  const _id = new ObjectId(inviteId);
+  const invite = await col.findOne({ _id, email: String(email || '').toLowerCase() });
+  if (!invite) return { ok: false, status: 404, error: 'invite not found' };
+  if (invite.status !== 'pending') return { ok: false, status: 409, error: `invite is ${invite.status}` };
+  const $set = accept
+    ? { status: 'active', memberUserId: uid, acceptedAt: new Date() }
+    : { status: 'declined', memberUserId: null };
+  const member = await col.findOneAndUpdate({ _id, status: 'pending' }, { $set }, { returnDocument: 'after' });
+  if (!member) return { ok: false, status: 409, error: 'invite is no longer pending' };
+  if (accept) await syncSharedWith(db, invite.userId, invite.projectId);
+  return { ok: true, member };
+}
+
+// Revokes a member or invite of the project. Owners can revoke anyone; members can remove themselves.
+export async function revokeMember(db, project, memberId, { uid, role }) {
+  if (!ObjectId.isValid(memberId)) return { ok: false, status: 400, error: 'invalid member id' };
+  const col = db.collection('projectMembers');
+  const _id = new ObjectId(memberId);
+  const member = await col.findOne({ _id, userId: project.userId, projectId: project.id });
+  if (!member || member.status === 'revoked' || member.status === 'declined') return { ok: false, status: 404, error: 'member not found' };
+  if (role !== 'owner' && member.memberUserId !== uid) return { ok: false, status: 403, error: 'requires the owner role on this project' };
+  const updated = await col.findOneAndUpdate({ _id }, { $set: { status: 'revoked', revokedAt: new Date(), revokedBy: uid } }, { returnDocument: 'after' });
+  await syncSharedWith(db, project.userId, project.id);
+  return { ok: true, member: updated };
+}
@@ -1,11 +1,30 @@
 ﻿
 import mqtt from 'mqtt';
+import { ObjectId } from 'mongodb';
 import { getDb } from './db.js';
-import { isFcmEnabled, sendToTokens } from './fcm.js';
+import { isFcmEnabled, sendToTokens, collectInvalidTokens } from './fcm.js';
+import { decodePayload } from './payload.js';
+import { compileFormula } from './formula.js';
+import { resolveGeometry, computeVolume, tankHeightMeters } from './tankGeometry.js';
+import { toLevelMeters } from './sensorModel.js';
+import { createFilterState, filterSample, debounceState } from './sampleFilter.js';
+import { publishLiveEvent, activeLiveProjects } from './liveStream.js';
+import { recipientTokens } from './recipients.js';
+import { projectKey } from './projectKey.js';
+import { recordAlertEvent } from './alertEvents.js';
+import { emailAlert } from './email.js';
+import { controlMessage, recordControlCommand } from './control.js';
+import { autoControlSettings, autoControlReady, maxRunCutoffReady, createAutoControlState, decidePumpAction, AUTO_CONTROL_RETRY_MS } from './autoControl.js';
+import { enqueueWebhookEvent, startWebhookLoop } from './webhooks.js';
+import { invalidateAnalytics } from './analytics.js';
+import { computeForecast, forecastAlertDue, forecastLookbackSec, forecastTargets } from './forecast.js';
+import { escalationFields, resolveActiveAlerts, startEscalationLoop } from './escalation.js';
+import { effectiveThresholds, evaluateThresholdState, isKnownState, isWorsening, stateTitle, evaluateRateRules, maxRateWindowSec } from './alertEngine.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
+// Per-project state is keyed by projectKey(userId, projectId): ids are only unique per user.
 const clients = new Map();
 let currentSubs = new Map();
 const lastAlertState = new Map();
@@ -21,42 +40,73 @@ const lastUpdatePush = new Map();
 // is < deadband meters is skipped. Deadband can be set per-project (noiseDeadbandMeters)
 // and falls back to NOISE_DEADBAND_METERS env (default 0.003m ≈ 3mm).
 // Alert transitions still force storage so history shows them.
-const lastStoredReading = new Map(); // projectId -> { value, tsMs }
+const lastStoredReading = new Map(); // projectKey -> { value, ts } (ts in epoch ms)
+const lastDecodeError = new Map(); // projectKey -> last payload rejection reason
+const lastDeviceTimeError = new Map(); // projectKey -> last reason a device timestamp was replaced by the receive time
+const recentValues = new Map(); // projectKey -> [{ ts, v }] within the longest rate-of-change window
+const filterStates = new Map(); // projectKey -> spike filter state (see sampleFilter.js)
+const filterStats = new Map(); // projectKey -> { since, accepted, rejected: { bounds, jump }, lastRejected }
+const controlAckTimeoutMs = Math.max(500, Number(process.env.CONTROL_ACK_TIMEOUT_MS || 5000));
+const pumpStates = new Map(); // projectKey -> pump state for autoControl and manual overrides (see autoControl.js)
+const autoControlTickMs = Math.max(5000, Number(process.env.AUTO_CONTROL_TICK_MS || 15000));
 
-function _collectInvalidTokens(sendRes, tokens) {
-  try {
-    if (!sendRes || !sendRes.res || !Array.isArray(sendRes.res.responses)) return [];
-    const bad = [];
-    const responses = sendRes.res.responses;
-    for (let i = 0; i < responses.length; i++) {
-      const r = responses[i];
-      if (r && r.error && tokens[i]) {
-        const code = r.error.code || r.error.message || '';
-        if (String(code).includes('registration-token-not-registered') || String(code).includes('UNREGISTERED')) {
-          bad.push(tokens[i]);
-        }
-      }
-    }
-    return bad;
-  } catch { return []; }
+// --- Sensor connectivity ---
+// status: 'online' | 'offline' (LWT message) | 'stale' (no message for expectedReportIntervalSec).
+// Any message on the data topic marks the sensor seen and online again. Persisted on the
+// project as sensorStatus { status, lastSeenAt, changedAt }; lastSeenAt writes are throttled.
+const sensorStatus = new Map(); // projectKey -> { status, lastSeenAt, changedAt, persistedSeenAt } (ms)
+const bridgeStartedAt = Date.now();
+const lastSeenPersistMs = Math.max(5000, Number(process.env.LAST_SEEN_PERSIST_MS || 60000));
+const staleCheckMs = Math.max(5000, Number(process.env.STALE_CHECK_MS || 30000));
+const OFFLINE_WORDS = ['offline', 'disconnected', 'dead', 'lost', 'false', '0'];
+const lastRateFired = new Map(); // projectKey -> Map(ruleName -> ts ms)
+const forecastWindows = new Map(); // projectKey -> [{ ts, v }] over the forecast lookback, one sample per minute
+const forecasts = new Map(); // projectKey -> latest forecast (see forecast.js)
+const forecastAlerts = new Map(); // projectKey -> { armed, notifiedAt } for the "predicted low" notification
+const FORECAST_SAMPLE_MS = 60000;
+
+function applyScaling(v, opts) {
+  let out = v;
+  if (opts && typeof opts.multiplier === 'number') out = out * opts.multiplier;
+  if (opts && typeof opts.offset === 'number') out = out + opts.offset;
+  return out;
+}
+
+// Custom formula replaces multiplier/offset when enabled; x/raw is the decoded value.
+// The result is the sensor measurement (level, distance or pressure, see sensorModel.js).
+function computeMeasurement(raw, opts) {
+  if (!opts?.formula) return applyScaling(raw, opts);
+  return opts.formula.evaluate({
+    x: raw,
+    raw,
+    multiplier: opts.multiplier,
+    offset: opts.offset,
+    height: opts.height,
+    diameter: opts.diameter,
+    length: opts.length,
+    width: opts.width,
+    wallThickness: opts.wallThickness,
+    connectedTankCount: opts.connectedTankCount,
+  });
 }
 
-function parseNumberFromPayload(payload, opts) {
+function compileProjectFormula(p) {
+  if (p.useCustomFormula !== true || typeof p.customFormula !== 'string' || !p.customFormula.trim().length) return null;
   try {
-    const s = payload.toString();
-    const m = s.match(/[-+]?[0-9]*\.?[0-9]+/);
-    if (!m) return null;
-    let v = parseFloat(m[0]);
-    if (opts && typeof opts.multiplier === 'number') v = v * opts.multiplier;
-    if (opts && typeof opts.offset === 'number') v = v + opts.offset;
-    return v;
-  } catch { return null; }
+    return compileFormula(p.customFormula);
+  } catch (e) {
+    console.warn(`[Bridge] invalid customFormula for project=${p.id}; using multiplier/offset: ${e?.message || e}`);
+    return null;
+  }
 }
 
 async function upsertProjectsFromDb() {
   const db = await getDb();
-  const projects = await db.collection('projects').find({ $or: [ { storeHistory: true }, { alertsEnabled: true } ] }).toArray();
+  // Projects with an open live stream or a control button are bridged too, even without history or alerts
+  const live = activeLiveProjects().map(({ userId, projectId }) => ({ id: projectId, userId }));
+  const projects = await db.collection('projects').find({ $or: [ { storeHistory: true }, { alertsEnabled: true }, { useControlButton: true }, ...live ] }).toArray();
   return projects.map(p => ({
+    key: projectKey(p.userId, p.id),
     projectId: p.id,
     projectName: p.name || '',
     topic: p.topic,
@@ -76,31 +126,683 @@ async function upsertProjectsFromDb() {
     notifyOnRecover: p.notifyOnRecover === true,
     alertHysteresisMeters: Number.isFinite(p.alertHysteresisMeters) ? Number(p.alertHysteresisMeters) : null,
     noiseDeadbandMeters: Number.isFinite(p.noiseDeadbandMeters) ? Number(p.noiseDeadbandMeters) : null,
+    payloadIsJson: p.payloadIsJson === true,
+    jsonKeyName: (typeof p.jsonKeyName === 'string' && p.jsonKeyName.length) ? p.jsonKeyName : null,
+    jsonFieldIndex: Number.isFinite(p.jsonFieldIndex) ? Number(p.jsonFieldIndex) : 1,
+    displayTimeFromJson: p.displayTimeFromJson === true,
+    jsonTimeKeyName: (typeof p.jsonTimeKeyName === 'string' && p.jsonTimeKeyName.length) ? p.jsonTimeKeyName : null,
+    jsonTimeFieldIndex: Number.isFinite(p.jsonTimeFieldIndex) ? Number(p.jsonTimeFieldIndex) : 1,
+    formula: compileProjectFormula(p),
+    height: (typeof p.height === 'number') ? p.height : null,
+    diameter: (typeof p.diameter === 'number') ? p.diameter : null,
+    length: (typeof p.length === 'number') ? p.length : null,
+    width: (typeof p.width === 'number') ? p.width : null,
+    wallThickness: (typeof p.wallThickness === 'number') ? p.wallThickness : null,
+    connectedTankCount: Number.isFinite(p.connectedTankCount) ? Number(p.connectedTankCount) : 1,
+    geometry: resolveGeometry(p),
+    calibration: Array.isArray(p.calibration?.points) ? { points: p.calibration.points } : null,
+    sensorBlindZoneMeters: (typeof p.sensorBlindZoneMeters === 'number') ? p.sensorBlindZoneMeters : null,
+    liquidDensity: (typeof p.liquidDensity === 'number') ? p.liquidDensity : null,
+    pressureUnit: (typeof p.pressureUnit === 'string') ? p.pressureUnit : null,
     userId: p.userId || null,
+    sharedWith: Array.isArray(p.sharedWith) ? p.sharedWith : [],
+    escalationIntervalSec: Number.isFinite(p.escalationIntervalSec) ? Number(p.escalationIntervalSec) : null,
+    alertThresholds: Array.isArray(p.alertThresholds) && p.alertThresholds.length ? p.alertThresholds : null,
+    rateOfChangeRules: Array.isArray(p.rateOfChangeRules) && p.rateOfChangeRules.length ? p.rateOfChangeRules : null,
+    lastAlertState: p.lastAlertState || null,
+    lastAlertAt: p.lastAlertAt || null,
+    rateAlertLastFired: Array.isArray(p.rateAlertLastFired) ? p.rateAlertLastFired : null,
+    lastUpdatePushAt: p.lastUpdatePushAt || null,
+    lastWillTopic: (typeof p.lastWillTopic === 'string' && p.lastWillTopic.length) ? p.lastWillTopic : null,
+    expectedReportIntervalSec: (Number.isFinite(p.expectedReportIntervalSec) && p.expectedReportIntervalSec > 0) ? Number(p.expectedReportIntervalSec) : null,
+    sensorStatus: p.sensorStatus || null,
+    emailAlertsEnabled: p.emailAlertsEnabled === true,
+    emailRecipients: Array.isArray(p.emailRecipients) ? p.emailRecipients : [],
+    sampleFilter: (p.sampleFilter && typeof p.sampleFilter === 'object') ? p.sampleFilter : null,
+    useControlButton: p.useControlButton === true,
+    controlTopic: p.controlTopic || null,
+    onValue: p.onValue,
+    offValue: p.offValue,
+    controlQos: p.controlQos,
+    controlRetained: p.controlRetained === true,
+    autoControl: p.autoControl === true,
+    autoControlPaused: p.autoControlPaused === true,
+    minThreshold: (typeof p.minThreshold === 'number') ? p.minThreshold : null,
+    maxThreshold: (typeof p.maxThreshold === 'number') ? p.maxThreshold : null,
+    autoControlHysteresisMeters: p.autoControlHysteresisMeters,
+    autoControlMinDwellSec: p.autoControlMinDwellSec,
+    autoControlMaxRunSec: p.autoControlMaxRunSec,
+    autoControlOverrideSec: p.autoControlOverrideSec,
+    autoControlNotify: p.autoControlNotify === true,
+    autoControlState: p.autoControlState || null,
+    refillMinMeters: (typeof p.refillMinMeters === 'number') ? p.refillMinMeters : null,
+    forecastLookbackSec: Number.isFinite(p.forecastLookbackSec) ? Number(p.forecastLookbackSec) : null,
+    forecastAlertHours: (Number.isFinite(p.forecastAlertHours) && p.forecastAlertHours > 0) ? Number(p.forecastAlertHours) : null,
+    forecastAlert: p.forecastAlert || null,
   }));
 }
 
+// Restore alert state, cooldown timers and the deadband reference after a restart.
+// Runs once per project key; in-memory state is authoritative while the bridge runs.
+const rehydrated = new Set();
+async function rehydrateProjectState(db, p) {
+  if (rehydrated.has(p.key)) return;
+  rehydrated.add(p.key);
+  if (!lastAlertState.has(p.key) && typeof p.lastAlertState === 'string' && isKnownState(p.lastAlertState, effectiveThresholds(p))) {
+    lastAlertState.set(p.key, { lastState: p.lastAlertState, lastTs: p.lastAlertAt ? new Date(p.lastAlertAt).getTime() : 0 });
+  }
+  if (!lastRateFired.has(p.key) && p.rateAlertLastFired?.length) {
+    lastRateFired.set(p.key, new Map(p.rateAlertLastFired.filter(r => r?.rule && r.at).map(r => [r.rule, new Date(r.at).getTime()])));
+  }
+  if (!sensorStatus.has(p.key) && p.sensorStatus?.status) {
+    const seen = p.sensorStatus.lastSeenAt ? new Date(p.sensorStatus.lastSeenAt).getTime() : null;
+    sensorStatus.set(p.key, {
+      status: p.sensorStatus.status,
+      lastSeenAt: seen,
+      changedAt: p.sensorStatus.changedAt ? new Date(p.sensorStatus.changedAt).getTime() : null,
+      persistedSeenAt: seen || 0,
+    });
+  }
+  if (!pumpStates.has(p.key) && p.autoControlState) {
+    const ms = (d) => (d ? new Date(d).getTime() : 0);
+    pumpStates.set(p.key, {
+      ...createAutoControlState(),
+      pump: p.autoControlState.pump || null,
+      changedAt: ms(p.autoControlState.changedAt),
+      overrideUntil: ms(p.autoControlState.overrideUntil),
+      lockedOut: p.autoControlState.lockedOut === true,
+    });
+  }
+  if (!forecastAlerts.has(p.key) && p.forecastAlert) {
+    forecastAlerts.set(p.key, {
+      armed: p.forecastAlert.armed !== false,
+      notifiedAt: p.forecastAlert.notifiedAt ? new Date(p.forecastAlert.notifiedAt).getTime() : 0,
+    });
+  }
+  if (!lastUpdatePush.has(p.key) && p.lastUpdatePushAt) {
+    lastUpdatePush.set(p.key, new Date(p.lastUpdatePushAt).getTime());
+  }
+  if (p.storeHistory && !lastStoredReading.has(p.key)) {
+    try {
+      const last = await db.collection('readings')
+        .find({ projectId: p.projectId, userId: p.userId }, { projection: { _id: 0, levelMeters: 1, ts: 1 } })
+        .sort({ ts: -1 })
+        .limit(1)
+        .next();
+      if (last && Number.isFinite(last.levelMeters)) lastStoredReading.set(p.key, { value: last.levelMeters, ts: new Date(last.ts).getTime() });
+      if (!forecastWindows.has(p.key)) {
+        const since = new Date(Date.now() - forecastLookbackSec(p) * 1000);
+        const recent = await db.collection('readings')
+          .find({ projectId: p.projectId, userId: p.userId, ts: { $gte: since } }, { projection: { _id: 0, levelMeters: 1, ts: 1 } })
+          .sort({ ts: -1 })
+          .limit(20000)
+          .toArray();
+        const window = [];
+        for (const r of recent.reverse()) {
+          const ts = new Date(r.ts).getTime();
+          if (!Number.isFinite(r.levelMeters)) continue;
+          if (window.length && ts - window[window.length - 1].ts < FORECAST_SAMPLE_MS) continue;
+          window.push({ ts, v: r.levelMeters });
+        }
+        forecastWindows.set(p.key, window);
+      }
+    } catch (e) {
+      rehydrated.delete(p.key); // retry on next refresh
+      console.warn(`[Bridge] state restore failed project=${p.projectId}:`, e?.message || e);
+    }
+  }
+}
+
+function displayNameOf(subCfg) {
+  return (subCfg.projectName && subCfg.projectName.trim().length) ? subCfg.projectName.trim() : subCfg.projectId;
+}
+
+// Sends a data-only alert push to the project's recipients; returns { sent, tokens, invalid }.
+// Alerts, recoveries and rate-of-change hits are also emailed, on exactly the notifications FCM
+// gets, so they share the same cooldowns; email: false keeps connectivity, forecast and pump
+// notifications push-only.
+async function pushAlert(db, subCfg, data, collapseKey, { email = true } = {}) {
+  const push = { sent: false, tokens: 0, invalid: 0, emailed: 0, emailError: null };
+  if (email) {
+    const sent = await emailAlert(db, subCfg, data, effectiveThresholds(subCfg));
+    Object.assign(push, { emailed: sent.sent, emailError: sent.error });
+  }
+  if (!isFcmEnabled()) return push;
+  try {
+    const tokens = await recipientTokens(db, subCfg);
+    if (!tokens.length) return push;
+    // Data-only payload to prevent OS auto notifications (we show locally in app)
+    const res = await sendToTokens(tokens, { data }, { android: { collapseKey } });
+    const invalid = collectInvalidTokens(res, tokens);
+    Object.assign(push, { sent: res.ok === true, tokens: tokens.length, invalid: invalid.length });
+    if (invalid.length) { try { await db.collection('devices').deleteMany({ token: { $in: invalid } }); } catch {} }
+  } catch (err) { console.error('Bridge: FCM send error', err?.message || err); }
+  return push;
+}
+
+// Applies a threshold state change: closes the previous active alert, notifies, records the
+// event, updates in-memory/persisted state and publishes it to live streams.
+async function applyAlertTransition(db, subCfg, subKey, { from, to, value, volume, ts, nowMs, notify, threshold, hysteresis }) {
+  const { projectId } = subCfg;
+  const alertId = new ObjectId();
+  let resolved = null; // active alert closed by this transition
+  try { resolved = await resolveActiveAlerts(db, projectId, subCfg.userId, ts); }
+  catch (e) { console.error('Bridge: resolve alert error', e?.message || e); }
+  const displayName = displayNameOf(subCfg);
+  let push = { sent: false, tokens: 0, invalid: 0 };
+  if (notify) {
+    push = await pushAlert(db, subCfg, {
+      title: `${stateTitle(to)} (${displayName})`,
+      body: `Level: ${value.toFixed(3)} m${volume ? ` (${volume.percent}%, ${Math.round(volume.liquidLiters)} L)` : ''} @ ${ts.toLocaleTimeString()}${hysteresis > 0 ? ` (hyst=${hysteresis}m)` : ''}`,
+      projectId: String(projectId),
+      projectName: displayName,
+      levelMeters: String(value),
+      ...(volume ? { percent: String(volume.percent), liquidLiters: String(volume.liquidLiters), totalLiters: String(volume.totalLiters) } : {}),
+      ts: ts.toISOString(),
+      alertState: to,
+      previousState: from,
+      ...(threshold ? { thresholdLevel: String(threshold.level), severity: threshold.severity || '' } : {}),
+      hysteresisMeters: String(hysteresis),
+      alertId: String(alertId),
+      ...(to === 'normal'
+        ? { resolvedAlertId: resolved ? String(resolved._id) : '', acknowledged: String(Boolean(resolved?.ackedAt)) }
+        : { acknowledged: 'false', reminder: '0', escalationLevel: '0' }),
+      messageId: `${projectId}:alert:${to}:${Math.floor(Date.now()/1000)}`
+    }, `alert_${projectId}`);
+  }
+  lastAlertState.set(subKey, { lastState: to, lastTs: nowMs });
+  publishLiveEvent(subCfg.userId, projectId, 'alert', { projectId, alertId: String(alertId), from, to, levelMeters: value, ts: ts.toISOString(), notified: push.sent });
+  await recordAlertEvent(db, {
+    _id: alertId,
+    kind: 'level',
+    projectId,
+    userId: subCfg.userId,
+    from,
+    to,
+    levelMeters: value,
+    alertLow: (typeof subCfg.alertLow === 'number') ? subCfg.alertLow : null,
+    alertHigh: (typeof subCfg.alertHigh === 'number') ? subCfg.alertHigh : null,
+    threshold: threshold ? { name: threshold.name, direction: threshold.direction, level: threshold.level, severity: threshold.severity } : null,
+    hysteresisMeters: threshold?.hysteresisMeters ?? hysteresis,
+    ts,
+    pushSent: push.sent,
+    tokensNotified: push.tokens,
+    tokensInvalid: push.invalid,
+    emailsSent: push.emailed,
+    emailError: push.emailError,
+    ...escalationFields(subCfg, to, nowMs),
+  });
+  await enqueueWebhookEvent(db, { userId: subCfg.userId, projectId, event: 'alert', data: {
+    alertId: String(alertId), projectName: displayName, from, to, levelMeters: value, ...(volume || {}), ts: ts.toISOString(),
+    threshold: threshold ? { name: threshold.name, direction: threshold.direction, level: threshold.level, severity: threshold.severity } : null,
+    resolvedAlertId: resolved ? String(resolved._id) : null,
+  } });
+  // Persisted so a restart resumes in the same state with the same cooldown window
+  try { await db.collection('projects').updateOne({ id: projectId, userId: subCfg.userId }, { $set: { lastAlertState: to, lastAlertAt: new Date(nowMs) } }); }
+  catch (e) { console.error('Bridge: alert state persist error', e?.message || e); }
+}
+
+// Rate-of-change cooldowns survive restarts as project.rateAlertLastFired: [{ rule, at }]
+async function persistRateFired(db, subCfg, subKey) {
+  const fired = Array.from(lastRateFired.get(subKey) || [], ([rule, at]) => ({ rule, at: new Date(at) }));
+  try { await db.collection('projects').updateOne({ id: subCfg.projectId, userId: subCfg.userId }, { $set: { rateAlertLastFired: fired } }); }
+  catch (e) { console.error('Bridge: persist rate cooldown error', e?.message || e); }
+}
+
+// Rate-of-change rules are one-off events: notified and recorded, no state or escalation.
+async function applyRateAlert(db, subCfg, { rule, deltaMeters, fromValue, value, ts, state }) {
+  const { projectId } = subCfg;
+  const alertId = new ObjectId();
+  const displayName = displayNameOf(subCfg);
+  const verb = rule.direction === 'drop' ? 'dropped' : 'rose';
+  let push = { sent: false, tokens: 0, invalid: 0 };
+  if (rule.notify) {
+    push = await pushAlert(db, subCfg, {
+      title: `Level ${verb} quickly (${displayName})`,
+      body: `Level ${verb} ${(deltaMeters * 100).toFixed(1)} cm within ${Math.round(rule.windowSec / 60)} min (now ${value.toFixed(3)} m)`,
+      projectId: String(projectId),
+      projectName: displayName,
+      levelMeters: String(value),
+      ts: ts.toISOString(),
+      alertState: state,
+      rateRule: rule.name,
+      deltaMeters: String(deltaMeters),
+      windowSec: String(rule.windowSec),
+      alertId: String(alertId),
+      messageId: `${projectId}:rate:${rule.name}:${Math.floor(Date.now()/1000)}`
+    }, `rate_${projectId}`);
+  }
+  publishLiveEvent(subCfg.userId, projectId, 'rate', { projectId, alertId: String(alertId), rule: rule.name, direction: rule.direction, deltaMeters, windowSec: rule.windowSec, levelMeters: value, ts: ts.toISOString(), notified: push.sent });
+  await recordAlertEvent(db, {
+    _id: alertId,
+    kind: 'rate',
+    projectId,
+    userId: subCfg.userId,
+    from: state,
+    to: state,
+    rule: { name: rule.name, direction: rule.direction, deltaMeters: rule.deltaMeters, windowSec: rule.windowSec },
+    deltaMeters,
+    fromValue,
+    levelMeters: value,
+    ts,
+    pushSent: push.sent,
+    tokensNotified: push.tokens,
+    tokensInvalid: push.invalid,
+    emailsSent: push.emailed,
+    emailError: push.emailError,
+    active: false,
+  });
+  await enqueueWebhookEvent(db, { userId: subCfg.userId, projectId, event: 'rate', data: {
+    alertId: String(alertId), projectName: displayName, rule: rule.name, direction: rule.direction, deltaMeters, windowSec: rule.windowSec,
+    fromValue, levelMeters: value, alertState: state, ts: ts.toISOString(),
+  } });
+}
+
+// Keeps the per-project sample window, recomputes the forecast and sends the "predicted low
+// within forecastAlertHours" notification once per falling run (while the alert state is normal).
+async function updateForecast(db, subCfg, subKey, v, ts) {
+  const tsMs = ts.getTime();
+  const window = forecastWindows.get(subKey) || [];
+  const last = window[window.length - 1];
+  if (last && tsMs - last.ts < FORECAST_SAMPLE_MS) return;
+  window.push({ ts: tsMs, v });
+  const since = tsMs - forecastLookbackSec(subCfg) * 1000;
+  while (window.length && window[0].ts < since) window.shift();
+  forecastWindows.set(subKey, window);
+  const forecast = computeForecast(window, subCfg, { nowMs: tsMs });
+  forecasts.set(subKey, forecast);
+  publishLiveEvent(subCfg.userId, subCfg.projectId, 'forecast', { projectId: subCfg.projectId, ...forecast });
+
+  if (!subCfg.alertsEnabled || !subCfg.forecastAlertHours) return;
+  const due = forecastAlertDue(forecast, subCfg.forecastAlertHours);
+  if (!forecastAlerts.has(subKey)) forecastAlerts.set(subKey, { armed: true, notifiedAt: 0 });
+  const alert = forecastAlerts.get(subKey);
+  if (due === 'rearm' && !alert.armed) {
+    alert.armed = true;
+    await persistForecastAlert(db, subCfg, alert);
+    return;
+  }
+  if (due !== 'fire' || !alert.armed) return;
+  if ((lastAlertState.get(subKey)?.lastState || 'normal') !== 'normal') return; // the threshold alert already fired
+  Object.assign(alert, { armed: false, notifiedAt: Date.now() });
+  await persistForecastAlert(db, subCfg, alert);
+  await applyForecastAlert(db, subCfg, { forecast, value: v, ts });
+}
+
+async function persistForecastAlert(db, subCfg, alert) {
+  try {
+    await db.collection('projects').updateOne({ id: subCfg.projectId, userId: subCfg.userId }, { $set: {
+      forecastAlert: { armed: alert.armed, notifiedAt: alert.notifiedAt ? new Date(alert.notifiedAt) : null },
+    } });
+  } catch (e) { console.error('Bridge: forecast alert persist error', e?.message || e); }
+}
+
+function formatHours(h) {
+  return h < 1 ? `${Math.max(1, Math.round(h * 60))} min` : `${h.toFixed(1)} h`;
+}
+
+// Predicted low notifications are one-off events like rate hits: no state or escalation.
+async function applyForecastAlert(db, subCfg, { forecast, value, ts }) {
+  const { projectId } = subCfg;
+  const alertId = new ObjectId();
+  const displayName = displayNameOf(subCfg);
+  const lowLevel = forecastTargets(subCfg).low;
+  const push = await pushAlert(db, subCfg, {
+    title: `Low level predicted (${displayName})`,
+    body: `Level ${value.toFixed(3)} m, falling ${(Math.abs(forecast.rateMetersPerHour) * 100).toFixed(1)} cm/h; expected to reach ${lowLevel} m in about ${formatHours(forecast.hoursToLow)}`,
+    projectId: String(projectId),
+    projectName: displayName,
+    levelMeters: String(value),
+    ts: ts.toISOString(),
+    alertState: 'normal',
+    forecastLowAt: forecast.lowAt.toISOString(),
+    hoursToLow: String(forecast.hoursToLow),
+    rateMetersPerHour: String(forecast.rateMetersPerHour),
+    alertId: String(alertId),
+    messageId: `${projectId}:forecast:${Math.floor(Date.now()/1000)}`
+  }, `forecast_${projectId}`, { email: false });
+  publishLiveEvent(subCfg.userId, projectId, 'forecastAlert', { projectId, alertId: String(alertId), hoursToLow: forecast.hoursToLow, lowAt: forecast.lowAt.toISOString(), levelMeters: value, ts: ts.toISOString(), notified: push.sent });
+  await recordAlertEvent(db, {
+    _id: alertId,
+    kind: 'forecast',
+    projectId,
+    userId: subCfg.userId,
+    from: 'normal',
+    to: 'normal',
+    levelMeters: value,
+    lowLevel,
+    hoursToLow: forecast.hoursToLow,
+    lowAt: forecast.lowAt,
+    rateMetersPerHour: forecast.rateMetersPerHour,
+    withinHours: subCfg.forecastAlertHours,
+    ts,
+    pushSent: push.sent,
+    tokensNotified: push.tokens,
+    tokensInvalid: push.invalid,
+    emailsSent: push.emailed,
+    emailError: push.emailError,
+    active: false,
+  });
+  await enqueueWebhookEvent(db, { userId: subCfg.userId, projectId, event: 'forecast', data: {
+    alertId: String(alertId), projectName: displayName, levelMeters: value, lowLevel, hoursToLow: forecast.hoursToLow,
+    lowAt: forecast.lowAt.toISOString(), rateMetersPerHour: forecast.rateMetersPerHour, withinHours: subCfg.forecastAlertHours, ts: ts.toISOString(),
+  } });
+}
+
+// LWT payloads: "offline"/"0"/"false"/... mean offline, anything else (e.g. a birth "online") online
+function lwtStatusFromPayload(msg) {
+  const text = String(msg ?? '').trim().toLowerCase();
+  if (!text.length) return 'offline'; // empty retained will
+  return OFFLINE_WORDS.some(w => text === w || (w.length > 1 && text.includes(w))) ? 'offline' : 'online';
+}
+
+async function setConnectivity(db, subCfg, subKey, to, reason) {
+  const { projectId } = subCfg;
+  const nowMs = Date.now();
+  const cur = sensorStatus.get(subKey) || { status: 'online', lastSeenAt: null, changedAt: null, persistedSeenAt: 0 };
+  const from = cur.status;
+  if (from === to) return;
+  sensorStatus.set(subKey, { ...cur, status: to, changedAt: nowMs });
+  const displayName = displayNameOf(subCfg);
+  const lastSeen = cur.lastSeenAt ? new Date(cur.lastSeenAt) : null;
+  const title = to === 'online' ? 'Sensor back online' : to === 'offline' ? 'Sensor offline' : 'Sensor silent';
+  const body = to === 'online'
+    ? `Reporting again${from === 'stale' ? ' after a silence' : ''}`
+    : to === 'offline'
+      ? 'The device disconnected from the broker (last will)'
+      : `No data for over ${Math.round(subCfg.expectedReportIntervalSec / 60)} min${lastSeen ? ` (last seen ${lastSeen.toLocaleTimeString()})` : ''}`;
+  const push = await pushAlert(db, subCfg, {
+    title: `${title} (${displayName})`,
+    body,
+    projectId: String(projectId),
+    projectName: displayName,
+    sensorStatus: to,
+    previousSensorStatus: from,
+    lastSeenAt: lastSeen ? lastSeen.toISOString() : '',
+    ts: new Date(nowMs).toISOString(),
+    messageId: `${projectId}:status:${to}:${Math.floor(nowMs/1000)}`
+  }, `status_${projectId}`, { email: false });
+  publishLiveEvent(subCfg.userId, projectId, 'status', { projectId, from, to, reason, lastSeenAt: lastSeen ? lastSeen.toISOString() : null, ts: new Date(nowMs).toISOString(), notified: push.sent });
+  await recordAlertEvent(db, {
+    kind: 'connectivity',
+    projectId,
+    userId: subCfg.userId,
+    from,
+    to,
+    reason,
+    lastSeenAt: lastSeen,
+    expectedReportIntervalSec: subCfg.expectedReportIntervalSec,
+    ts: new Date(nowMs),
+    pushSent: push.sent,
+    tokensNotified: push.tokens,
+    tokensInvalid: push.invalid,
+    emailsSent: push.emailed,
+    emailError: push.emailError,
+    active: false,
+  });
+  await enqueueWebhookEvent(db, { userId: subCfg.userId, projectId, event: 'connectivity', data: {
+    projectName: displayName, from, to, reason, lastSeenAt: lastSeen ? lastSeen.toISOString() : null, ts: new Date(nowMs).toISOString(),
+  } });
+  try {
+    await db.collection('projects').updateOne({ id: projectId, userId: subCfg.userId }, { $set: { sensorStatus: { status: to, lastSeenAt: lastSeen, changedAt: new Date(nowMs) } } });
+  } catch (e) { console.error('Bridge: sensor status persist error', e?.message || e); }
+}
+
+async function markSeen(db, subCfg, subKey) {
+  const nowMs = Date.now();
+  const cur = sensorStatus.get(subKey) || { status: 'online', lastSeenAt: null, changedAt: null, persistedSeenAt: 0 };
+  cur.lastSeenAt = nowMs;
+  sensorStatus.set(subKey, cur);
+  if (cur.status !== 'online') {
+    await setConnectivity(db, subCfg, subKey, 'online', 'data');
+  } else if (nowMs - cur.persistedSeenAt >= lastSeenPersistMs) {
+    cur.persistedSeenAt = nowMs;
+    db.collection('projects').updateOne(
+      { id: subCfg.projectId, userId: subCfg.userId },
+      { $set: { 'sensorStatus.status': 'online', 'sensorStatus.lastSeenAt': new Date(nowMs) } }
+    ).catch(() => {});
+  }
+}
+
+async function persistPumpState(db, userId, projectId, state) {
+  const at = (ms) => (ms ? new Date(ms) : null);
+  try {
+    await db.collection('projects').updateOne({ id: projectId, userId }, { $set: {
+      autoControlState: { pump: state.pump, changedAt: at(state.changedAt), overrideUntil: at(state.overrideUntil), lockedOut: state.lockedOut },
+    } });
+  } catch (e) { console.error('Bridge: pump state persist error', e?.message || e); }
+}
+
+// Runs autoControl for one project. v is the filtered level, or NaN from the timer (only the
+// max run-time cutoff can fire then, so a silent sensor cannot leave the pump running).
+// Without automatic switching, only the cutoff runs (for pumps started by a user command).
+async function runAutoControl(db, subCfg, subKey, v, nowMs = Date.now()) {
+  const settings = autoControlSettings(subCfg);
+  const automatic = autoControlReady(subCfg, settings);
+  if (!automatic && !maxRunCutoffReady(subCfg, settings)) return;
+  if (!pumpStates.has(subKey)) pumpStates.set(subKey, createAutoControlState());
+  const state = pumpStates.get(subKey);
+  const decision = decidePumpAction(state, v, settings, nowMs, { automatic });
+  if (!decision) return;
+  state.inFlight = true;
+  let result;
+  try {
+    result = await publishControl({ ...subCfg, id: subCfg.projectId }, decision.action, { source: 'auto', reason: decision.reason });
+  } finally {
+    state.inFlight = false;
+  }
+  if (!result.ok) {
+    state.retryAt = Date.now() + AUTO_CONTROL_RETRY_MS;
+    console.warn(`[Bridge] autoControl ${decision.action} failed project=${subCfg.projectId}: ${result.error}`);
+    return;
+  }
+  Object.assign(state, { pump: decision.action, changedAt: Date.now(), retryAt: 0, lockedOut: automatic && decision.reason === 'maxRun' });
+  await persistPumpState(db, subCfg.userId, subCfg.projectId, state);
+  if (String(process.env.BRIDGE_DEBUG).toLowerCase() === 'true') console.log(`[Bridge] autoControl ${decision.action} (${decision.reason}) project=${subCfg.projectId} level=${v}`);
+  // Safety cutoffs are always notified; regular switches only with autoControlNotify
+  if (settings.notify || decision.reason === 'maxRun') {
+    const displayName = displayNameOf(subCfg);
+    const level = Number.isFinite(v) ? `${v.toFixed(3)} m` : 'unknown';
+    const body = decision.reason === 'maxRun'
+      ? `Pump switched off after running ${Math.round(settings.maxRunSec / 60)} min${automatic ? '; automatic control paused until a manual command' : ''}`
+      : `Pump switched ${decision.action} (level ${level}, ${decision.reason === 'low' ? `below ${settings.min}` : `above ${settings.max}`} m)`;
+    await pushAlert(db, subCfg, {
+      title: `${decision.reason === 'maxRun' ? 'Pump safety cutoff' : `Pump ${decision.action}`} (${displayName})`,
+      body,
+      projectId: String(subCfg.projectId),
+      projectName: displayName,
+      ...(Number.isFinite(v) ? { levelMeters: String(v) } : {}),
+      pumpAction: decision.action,
+      pumpReason: decision.reason,
+      ts: new Date().toISOString(),
+      messageId: `${subCfg.projectId}:pump:${decision.action}:${Math.floor(Date.now()/1000)}`
+    }, `pump_${subCfg.projectId}`, { email: false });
+  }
+}
+
+async function checkPumpRunTimes() {
+  let db;
+  for (const [subKey, subCfg] of currentSubs.entries()) {
+    if (pumpStates.get(subKey)?.pump !== 'on') continue;
+    db = db || await getDb();
+    try { await runAutoControl(db, subCfg, subKey, NaN); }
+    catch (e) { console.error('Bridge: autoControl check error', e?.message || e); }
+  }
+}
+
+async function checkStaleProjects() {
+  const nowMs = Date.now();
+  let db;
+  for (const [subKey, subCfg] of currentSubs.entries()) {
+    if (!subCfg.expectedReportIntervalSec) continue;
+    const cur = sensorStatus.get(subKey);
+    if (cur && cur.status !== 'online') continue; // offline/stale already reported
+    const lastSeen = cur?.lastSeenAt || bridgeStartedAt;
+    if (nowMs - lastSeen <= subCfg.expectedReportIntervalSec * 1000) continue;
+    db = db || await getDb();
+    try { await setConnectivity(db, subCfg, subKey, 'stale', 'interval'); }
+    catch (e) { console.error('Bridge: stale check error', e?.message || e); }
+  }
+}
+
+function filterStatsFor(subKey) {
+  if (!filterStats.has(subKey)) filterStats.set(subKey, { since: new Date(), accepted: 0, rejected: { bounds: 0, jump: 0 }, lastRejected: null });
+  return filterStats.get(subKey);
+}
+
+// Bridge-side diagnostics for one project (in-memory, since the bridge picked it up); null if not bridged
+export function getProjectDiagnostics(userId, projectId) {
+  const key = projectKey(userId, projectId);
+  if (!currentSubs.has(key)) return null;
+  return {
+    sensorStatus: getSensorStatus(userId, projectId),
+    lastDecodeError: lastDecodeError.get(key) || null,
+    lastDeviceTimeError: lastDeviceTimeError.get(key) || null,
+    sampleFilter: currentSubs.get(key).sampleFilter || null,
+    filterStats: filterStats.get(key) || null,
+  };
+}
+
+// Live connectivity for GET /projects: { status, lastSeenAt, changedAt } or null if not bridged
+export function getSensorStatus(userId, projectId) {
+  const cur = sensorStatus.get(projectKey(userId, projectId));
+  if (!cur) return null;
+  return {
+    status: cur.status,
+    lastSeenAt: cur.lastSeenAt ? new Date(cur.lastSeenAt) : null,
+    changedAt: cur.changedAt ? new Date(cur.changedAt) : null,
+  };
+}
+
+// Latest bridge forecast for GET /projects, or null if not bridged (or no sample yet)
+export function getForecast(userId, projectId) {
+  return forecasts.get(projectKey(userId, projectId)) || null;
+}
+
+// Resync requests (e.g. from live stream connects) within refreshDebounceMs share one refreshBridgeProjects() run
+const refreshDebounceMs = 1000;
+let refreshTimer = null;
+export function scheduleBridgeRefresh() {
+  if (refreshTimer) return;
+  refreshTimer = setTimeout(() => {
+    refreshTimer = null;
+    refreshBridgeProjects().catch(err => console.error('Bridge refresh error', err?.message || err));
+  }, refreshDebounceMs);
+}
+
+export function isProjectBridged(userId, projectId) {
+  return currentSubs.has(projectKey(userId, projectId));
+}
+
 export async function startBridge() {
   if (bridgeRunning) return;
   bridgeRunning = true;
   await refreshBridgeProjects();
   const intervalMs = Math.max(15000, Number(process.env.BRIDGE_REFRESH_MS || 60000));
   setInterval(() => refreshBridgeProjects().catch(() => {}), intervalMs);
+  startEscalationLoop();
+  startWebhookLoop();
+  setInterval(() => checkPumpRunTimes().catch(e => console.error('Bridge: autoControl check error', e?.message || e)), autoControlTickMs);
+  setInterval(() => checkStaleProjects().catch(e => console.error('Bridge: stale check error', e?.message || e)), staleCheckMs);
+}
+
+// Subscribe a client to a topic once (deferred until connected)
+function ensureSubscribed(entry, topic) {
+  try {
+    if (!entry.subscribedTopics) entry.subscribedTopics = new Set();
+    if (entry.subscribedTopics.has(topic)) return;
+    const doSubscribe = () => {
+      try {
+        entry.client.subscribe(topic, {}, (err) => {
+          if (err) console.error('Bridge: subscribe error', topic, err?.message || err);
+          else {
+            entry.subscribedTopics.add(topic);
+            if (String(process.env.BRIDGE_DEBUG).toLowerCase() === 'true') console.log('[Bridge] subscribed topic', topic);
+          }
+        });
+      } catch (e) { console.error('Bridge: subscribe exception', e?.message || e); }
+    };
+    if (entry.client && entry.client.connected) doSubscribe(); else entry.client.once('connect', doSubscribe);
+  } catch (e) { console.error('Bridge: subscribe setup error', e?.message || e); }
+}
+
+// One MQTT client per broker URL + username (MQTT_URL/MQTT_USERNAME/MQTT_PASSWORD override per-project settings)
+function clientConfigForProject(p) {
+  const urlFromEnv = process.env.MQTT_URL;
+  const port = p.port || 1883;
+  const url = urlFromEnv || (p.broker && port ? `tcp://${p.broker}:${port}` : null);
+  const username = process.env.MQTT_USERNAME || p.username || undefined;
+  const password = process.env.MQTT_PASSWORD || p.password || undefined;
+  if (!url) return null;
+  const key = `${url}::${username || ''}`;
+  return { key, url, username, password };
+}
+
+// Publishes an on/off command for a project through the bridge client of its broker and waits for
+// the broker ack (QoS 1/2; for QoS 0, until written to the socket). Every outcome is audited.
+// project: projects document. Returns { ok, status (HTTP), error?, command }.
+export async function publishControl(project, action, { issuedBy = null, source = 'api', reason = null } = {}) {
+  const db = await getDb();
+  const msg = controlMessage(project, action);
+  const requestedAt = new Date();
+  const audit = async (fields) => recordControlCommand(db, {
+    userId: project.userId,
+    projectId: project.id,
+    action,
+    topic: msg.topic || project.controlTopic || null,
+    payload: msg.payload ?? null,
+    qos: msg.qos ?? null,
+    retain: msg.retain ?? null,
+    source,
+    reason,
+    issuedBy,
+    requestedAt,
+    ackedAt: null,
+    latencyMs: null,
+    error: null,
+    ...fields,
+  });
+  if (msg.error) return { ok: false, status: 400, error: msg.error, command: await audit({ status: 'rejected', error: msg.error }) };
+  const cfg = clientConfigForProject(project);
+  const entry = cfg && clients.get(cfg.key);
+  if (!entry || !entry.client.connected) {
+    const error = entry ? 'broker not connected' : 'no bridge connection for this broker';
+    return { ok: false, status: 503, error, command: await audit({ status: 'error', error }) };
+  }
+  const result = await new Promise((resolve) => {
+    const timer = setTimeout(() => resolve({ status: 'timeout', error: `no broker ack within ${controlAckTimeoutMs} ms` }), controlAckTimeoutMs);
+    try {
+      entry.client.publish(msg.topic, msg.payload, { qos: msg.qos, retain: msg.retain }, (err) => {
+        clearTimeout(timer);
+        resolve(err ? { status: 'error', error: err?.message || String(err) } : { status: 'acked' });
+      });
+    } catch (e) {
+      clearTimeout(timer);
+      resolve({ status: 'error', error: e?.message || String(e) });
+    }
+  });
+  const ackedAt = result.status === 'acked' ? new Date() : null;
+  const command = await audit({ ...result, ackedAt, latencyMs: ackedAt ? ackedAt - requestedAt : null });
+  if (result.status === 'acked') {
+    if (source !== 'auto') {
+      // A user command wins over autoControl for the override window and clears a safety cutoff
+      const settings = autoControlSettings(project);
+      const key = projectKey(project.userId, project.id);
+      const state = pumpStates.get(key) || createAutoControlState();
+      Object.assign(state, { pump: action, changedAt: ackedAt.getTime(), overrideUntil: ackedAt.getTime() + settings.overrideSec * 1000, lockedOut: false });
+      pumpStates.set(key, state);
+      await persistPumpState(db, project.userId, project.id, state);
+    }
+    publishLiveEvent(project.userId, project.id, 'control', { projectId: project.id, action, source, reason, ts: ackedAt.toISOString() });
+    return { ok: true, status: 200, command };
+  }
+  return { ok: false, status: result.status === 'timeout' ? 504 : 502, error: result.error, command };
 }
 
 export async function refreshBridgeProjects() {
   const db = await getDb();
   const list = await upsertProjectsFromDb();
-
-  function clientConfigForProject(p) {
-    const urlFromEnv = process.env.MQTT_URL;
-    const url = urlFromEnv || (p.broker && p.port ? `tcp://${p.broker}:${p.port}` : null);
-    const username = process.env.MQTT_USERNAME || p.username || undefined;
-    const password = process.env.MQTT_PASSWORD || p.password || undefined;
-    if (!url) return null;
-    const key = `${url}::${username || ''}`;
-    return { key, url, username, password };
-  }
+  for (const p of list) await rehydrateProjectState(db, p);
 
   const requiredKeys = new Set();
   for (const p of list) {
@@ -115,24 +817,76 @@ export async function refreshBridgeProjects() {
         clean: true,
       });
       const topicToProjects = new Map();
+      const lwtTopicToProjects = new Map(); // lastWillTopic -> Set<projectKey>
   c.on('connect', () => console.log(`Bridge: MQTT connected ${cfg.url}`));
       c.on('reconnect', () => console.log(`Bridge: MQTT reconnecting ${cfg.url}`));
       c.on('error', (e) => console.error(`Bridge: MQTT error ${cfg.url}`, e?.message || e));
       const debug = String(process.env.BRIDGE_DEBUG).toLowerCase() === 'true';
       c.on('message', async (topic, msg) => {
         try {
-          const projectIds = topicToProjects.get(topic);
-          if (!projectIds || projectIds.size === 0) return;
-          for (const projectId of projectIds) {
-            const subCfg = currentSubs.get(projectId);
+          const willKeys = lwtTopicToProjects.get(topic);
+          if (willKeys && willKeys.size) {
+            const status = lwtStatusFromPayload(msg);
+            for (const subKey of willKeys) {
+              const subCfg = currentSubs.get(subKey);
+              if (!subCfg) continue;
+              if (status === 'online') await markSeen(db, subCfg, subKey);
+              else await setConnectivity(db, subCfg, subKey, 'offline', 'lwt');
+            }
+          }
+          const projectKeys = topicToProjects.get(topic);
+          if (!projectKeys || projectKeys.size === 0) return;
+          for (const subKey of projectKeys) {
+            const subCfg = currentSubs.get(subKey);
             if (!subCfg) continue;
-            const v = parseNumberFromPayload(msg, subCfg);
-            if (v == null) continue;
-            const ts = new Date();
+            const { projectId } = subCfg;
+            await markSeen(db, subCfg, subKey);
+            const decoded = decodePayload(msg, subCfg);
+            if (!decoded.ok) {
+              // Log each distinct rejection reason once per project (every message when debugging)
+              if (debug || lastDecodeError.get(subKey) !== decoded.reason) {
+                console.warn(`[Bridge] payload rejected project=${projectId} topic=${topic}: ${decoded.reason}`);
+              }
+              lastDecodeError.set(subKey, decoded.reason);
+              continue;
+            }
+            lastDecodeError.delete(subKey);
+            if (decoded.tsError) {
+              if (debug || lastDeviceTimeError.get(subKey) !== decoded.tsError) {
+                console.warn(`[Bridge] device time ignored project=${projectId} topic=${topic}: ${decoded.tsError}; using receive time`);
+              }
+              lastDeviceTimeError.set(subKey, decoded.tsError);
+            } else {
+              lastDeviceTimeError.delete(subKey);
+            }
+            const measured = computeMeasurement(decoded.value, subCfg);
+            if (measured == null) {
+              if (debug) console.warn(`[Bridge] formula produced no finite value project=${projectId} raw=${decoded.value}`);
+              continue;
+            }
+            const level = toLevelMeters(measured, subCfg, tankHeightMeters(subCfg));
+            if (!level.ok) {
+              if (debug) console.warn(`[Bridge] reading rejected project=${projectId}: ${level.reason}`);
+              continue;
+            }
+            const ts = decoded.ts;
+            if (!filterStates.has(subKey)) filterStates.set(subKey, createFilterState());
+            const filtered = filterSample(filterStates.get(subKey), level.value, subCfg.sampleFilter, tankHeightMeters(subCfg));
+            const stats = filterStatsFor(subKey);
+            if (!filtered.ok) {
+              stats.rejected[filtered.reason] = (stats.rejected[filtered.reason] || 0) + 1;
+              stats.lastRejected = { levelMeters: level.value, reason: filtered.reason, detail: filtered.detail, ts: ts.toISOString() };
+              if (debug) console.warn(`[Bridge] sample filtered project=${projectId}: ${filtered.detail}`);
+              publishLiveEvent(subCfg.userId, projectId, 'rejected', { projectId, ...stats.lastRejected });
+              continue;
+            }
+            stats.accepted++;
+            const v = filtered.value;
+            const volume = computeVolume(subCfg, v); // { percent, liquidLiters, totalLiters } | null
             if (debug) console.log(`[Bridge] msg project=${projectId} userId=${subCfg.userId || 'null'} val=${v}`);
             // ---- Simple deadband suppression ----
             let storeThis = subCfg.storeHistory === true;
-            const prevStored = lastStoredReading.get(projectId);
+            const prevStored = lastStoredReading.get(subKey);
             if (storeThis && prevStored) {
               const diff = Math.abs(prevStored.value - v);
               const deadband = Number.isFinite(subCfg.noiseDeadbandMeters) && subCfg.noiseDeadbandMeters != null ? subCfg.noiseDeadbandMeters : globalNoiseDeadband;
@@ -141,81 +895,67 @@ export async function refreshBridgeProjects() {
               }
             }
             if (subCfg.alertsEnabled) {
-              const low = (typeof subCfg.alertLow === 'number') ? subCfg.alertLow : null;
-              const high = (typeof subCfg.alertHigh === 'number') ? subCfg.alertHigh : null;
+              const thresholds = effectiveThresholds(subCfg);
               const hysteresis = Number.isFinite(subCfg.alertHysteresisMeters) && subCfg.alertHysteresisMeters != null ? subCfg.alertHysteresisMeters : globalHysteresis;
-              const prev = lastAlertState.get(projectId) || { lastState: 'normal', lastTs: 0 };
-              let state = 'normal';
-              if (prev.lastState === 'low') {
-                if (low != null) {
-                  if (v < low) state = 'low'; else if (hysteresis > 0 && v < (low + hysteresis)) state = 'low';
-                }
-              } else if (prev.lastState === 'high') {
-                if (high != null) {
-                  if (v > high) state = 'high'; else if (hysteresis > 0 && v > (high - hysteresis)) state = 'high';
-                }
-              }
-              if (state === 'normal') {
-                if (low != null && v < low) state = 'low';
-                else if (high != null && v > high) state = 'high';
-              }
+              const prev = lastAlertState.get(subKey) || { lastState: 'normal', lastTs: 0 };
+              const prevState = isKnownState(prev.lastState, thresholds) ? prev.lastState : 'normal';
+              const state = debounceState(filterStates.get(subKey), prevState,
+                evaluateThresholdState(v, prevState, thresholds, hysteresis), subCfg.sampleFilter?.alertDebounceSamples);
               const nowMs = Date.now();
               const cooldownMs = Math.max(0, Number(subCfg.alertCooldownSec || 0) * 1000);
               const cooledDown = (nowMs - prev.lastTs) >= cooldownMs;
-              const crossedIntoAlert = (prev.lastState === 'normal' && (state === 'low' || state === 'high'));
-              const recovered = (prev.lastState !== 'normal' && state === 'normal');
-              const alertTitle = state === 'low' ? 'Low level alert' : state === 'high' ? 'High level alert' : 'Level back to normal';
-              const displayName = (subCfg.projectName && subCfg.projectName.trim().length) ? subCfg.projectName.trim() : projectId;
-              const shouldNotify = (crossedIntoAlert && cooledDown) || (recovered && subCfg.notifyOnRecover && cooledDown);
-              if (shouldNotify && isFcmEnabled()) {
-                try {
-                  const deviceCursor = db.collection('devices').find({ $or: [ { projectId }, { projectId: null } ] }, { projection: { _id: 0, token: 1 } });
-                  const devices = await deviceCursor.toArray();
-                  const tokens = Array.from(new Set(devices.map(d => d.token).filter(Boolean)));
-                  if (tokens.length) {
-                    const res = await sendToTokens(tokens, {
-                      // Data-only payload to prevent OS auto notifications (we show locally in app)
-                      data: {
-                        title: `${alertTitle} (${displayName})`,
-                        body: `Level: ${v.toFixed(3)} m @ ${ts.toLocaleTimeString()}${hysteresis > 0 ? ` (hyst=${hysteresis}m)` : ''}`,
-                        projectId: String(projectId),
-                        projectName: displayName,
-                        levelMeters: String(v),
-                        ts: ts.toISOString(),
-                        alertState: state,
-                        hysteresisMeters: String(hysteresis),
-                        messageId: `${projectId}:alert:${state}:${Math.floor(Date.now()/1000)}`
-                      }
-                    }, { android: { collapseKey: `alert_${projectId}` } });
-                    const invalid = _collectInvalidTokens(res, tokens);
-                    if (invalid.length) { try { await db.collection('devices').deleteMany({ token: { $in: invalid } }); } catch {} }
-                  }
-                } catch (err) { console.error('Bridge: FCM send error', err?.message || err); }
-              }
-              if ((crossedIntoAlert && cooledDown) || recovered) {
-                lastAlertState.set(projectId, { lastState: state, lastTs: nowMs });
-                try { await db.collection('projects').updateOne({ id: projectId }, { $set: { lastAlertState: state, lastAlertAt: new Date(nowMs) } }); } catch {}
+              // Entering alarm from normal respects the cooldown; getting worse (warning -> critical) never waits
+              const fromNormal = prevState === 'normal' && state !== 'normal';
+              const transition = state !== prevState && (!fromNormal || cooledDown);
+              if (transition) {
+                const target = thresholds.find(t => t.name === state) || null;
+                const worsening = isWorsening(prevState, state, thresholds);
+                const notify = state === 'normal'
+                  ? (subCfg.notifyOnRecover && cooledDown)
+                  : (worsening && target?.notify !== false);
+                await applyAlertTransition(db, subCfg, subKey, { from: prevState, to: state, value: v, volume, ts, nowMs, notify, threshold: target, hysteresis });
                 // Force storing this reading even if it would have been skipped, to reflect transition.
                 if (!storeThis && subCfg.storeHistory) storeThis = true;
               }
+              if (subCfg.rateOfChangeRules?.length) {
+                const tsMs = ts.getTime();
+                const windowMs = maxRateWindowSec(subCfg.rateOfChangeRules) * 1000;
+                const samples = (recentValues.get(subKey) || []).filter(x => x.ts >= tsMs - windowMs && x.ts <= tsMs);
+                samples.push({ ts: tsMs, v });
+                recentValues.set(subKey, samples);
+                if (!lastRateFired.has(subKey)) lastRateFired.set(subKey, new Map());
+                const fired = evaluateRateRules(samples, subCfg.rateOfChangeRules, tsMs, lastRateFired.get(subKey), Number(subCfg.alertCooldownSec || 0));
+                for (const f of fired) lastRateFired.get(subKey).set(f.rule.name, tsMs);
+                if (fired.length) await persistRateFired(db, subCfg, subKey);
+                for (const f of fired) await applyRateAlert(db, subCfg, { ...f, value: v, ts, state });
+              }
             }
             if (storeThis && subCfg.storeHistory) {
               try {
                 const readingDoc = { projectId, levelMeters: v, ts };
+                if (volume) Object.assign(readingDoc, volume);
                 if (subCfg.userId) readingDoc.userId = subCfg.userId;
                 await db.collection('readings').insertOne(readingDoc);
+                // Only readings for past days (e.g. a device flushing its buffer) can touch cached analytics
+                if (subCfg.userId && Date.now() - ts.getTime() > 12 * 3600000) await invalidateAnalytics(db, subCfg.userId, projectId, ts);
                 if (debug) console.log(`[Bridge] stored reading project=${projectId} userId=${subCfg.userId || 'null'} value=${v}`);
-                lastStoredReading.set(projectId, { value: v, ts: Date.now() });
-              } catch (e) { console.error('Bridge: insert error', e?.message || e); }
+                lastStoredReading.set(subKey, { value: v, ts: Date.now() });
+              } catch (e) {
+                if (e?.code === 11000) { if (debug) console.log(`[Bridge] duplicate reading skipped project=${projectId} ts=${ts.toISOString()}`); }
+                else console.error('Bridge: insert error', e?.message || e);
+              }
             }
+            try { await runAutoControl(db, subCfg, subKey, v); }
+            catch (e) { console.error('Bridge: autoControl error', e?.message || e); }
+            try { await updateForecast(db, subCfg, subKey, v, ts); }
+            catch (e) { console.error('Bridge: forecast error', e?.message || e); }
+            publishLiveEvent(subCfg.userId, projectId, 'reading', { projectId, levelMeters: v, ...(volume || {}), ts: ts.toISOString(), stored: storeThis && subCfg.storeHistory === true });
             if (notifyUpdates && isFcmEnabled()) {
-              const lastPush = lastUpdatePush.get(projectId) || 0;
+              const lastPush = lastUpdatePush.get(subKey) || 0;
               const now = Date.now();
               if (!notifyUpdatesIntervalSec || (now - lastPush) > notifyUpdatesIntervalSec * 1000) {
                 try {
-                  const deviceCursor = db.collection('devices').find({ $or: [ { projectId }, { projectId: null } ] }, { projection: { _id: 0, token: 1 } });
-                  const devices = await deviceCursor.toArray();
-                  const tokens = Array.from(new Set(devices.map(d => d.token).filter(Boolean)));
+                  const tokens = await recipientTokens(db, subCfg);
                   if (tokens.length) {
                     const displayName = (subCfg.projectName && subCfg.projectName.trim().length) ? subCfg.projectName.trim() : projectId;
                     const res = await sendToTokens(tokens, {
@@ -229,49 +969,40 @@ export async function refreshBridgeProjects() {
                         messageId: `${projectId}:update:${Math.floor(Date.now()/1000)}`
                       }
                     }, { android: { collapseKey: `update_${projectId}` } });
-                    const invalid = _collectInvalidTokens(res, tokens);
+                    const invalid = collectInvalidTokens(res, tokens);
                     if (invalid.length) { try { await db.collection('devices').deleteMany({ token: { $in: invalid } }); } catch {} }
                   }
-                  lastUpdatePush.set(projectId, now);
+                  lastUpdatePush.set(subKey, now);
+                  db.collection('projects').updateOne({ id: projectId, userId: subCfg.userId }, { $set: { lastUpdatePushAt: new Date(now) } }).catch(() => {});
                 } catch (err) { console.error('Bridge: update push error', err?.message || err); }
               }
             }
           }
         } catch (e) { console.error('Bridge: message handler error', e?.message || e); }
       });
-      clients.set(cfg.key, { client: c, topicToProjects });
+      clients.set(cfg.key, { client: c, topicToProjects, lwtTopicToProjects });
     }
   }
   for (const [key, entry] of clients.entries()) {
     if (!requiredKeys.has(key)) { try { entry.client.end(true); } catch {}; clients.delete(key); }
   }
+  // Rebuild topic routing so removed projects and changed topics stop receiving messages
+  for (const entry of clients.values()) { entry.topicToProjects.clear(); entry.lwtTopicToProjects.clear(); }
   for (const p of list) {
     const cfg = clientConfigForProject(p);
     if (!cfg) continue;
     const entry = clients.get(cfg.key);
     if (!entry) continue;
     if (!entry.topicToProjects.has(p.topic)) entry.topicToProjects.set(p.topic, new Set());
-    entry.topicToProjects.get(p.topic).add(p.projectId);
-    currentSubs.set(p.projectId, { topic: p.topic, clientKey: cfg.key, sensorType: p.sensorType, multiplier: p.multiplier, offset: p.offset, tankType: p.tankType, alertsEnabled: p.alertsEnabled, alertLow: p.alertLow, alertHigh: p.alertHigh, alertCooldownSec: p.alertCooldownSec, notifyOnRecover: p.notifyOnRecover, alertHysteresisMeters: p.alertHysteresisMeters, noiseDeadbandMeters: p.noiseDeadbandMeters, projectName: p.projectName, storeHistory: p.storeHistory, userId: p.userId });
-    // Ensure client subscribed to topic only once per topic
-    try {
-      if (!entry.subscribedTopics) entry.subscribedTopics = new Set();
-      if (!entry.subscribedTopics.has(p.topic)) {
-        const doSubscribe = () => {
-          try {
-            entry.client.subscribe(p.topic, {}, (err) => {
-              if (err) console.error('Bridge: subscribe error', p.topic, err?.message || err);
-              else {
-                entry.subscribedTopics.add(p.topic);
-                if (String(process.env.BRIDGE_DEBUG).toLowerCase() === 'true') console.log('[Bridge] subscribed topic', p.topic);
-              }
-            });
-          } catch (e) { console.error('Bridge: subscribe exception', e?.message || e); }
-        };
-        if (entry.client && entry.client.connected) doSubscribe(); else entry.client.once('connect', doSubscribe);
-      }
-    } catch (e) { console.error('Bridge: subscribe setup error', e?.message || e); }
+    entry.topicToProjects.get(p.topic).add(p.key);
+    currentSubs.set(p.key, { ...p, clientKey: cfg.key });
+    ensureSubscribed(entry, p.topic);
+    if (p.lastWillTopic) {
+      if (!entry.lwtTopicToProjects.has(p.lastWillTopic)) entry.lwtTopicToProjects.set(p.lastWillTopic, new Set());
+      entry.lwtTopicToProjects.get(p.lastWillTopic).add(p.key);
+      ensureSubscribed(entry, p.lastWillTopic);
+    }
   }
-  for (const [pid] of currentSubs.entries()) { if (!list.find(p => p.projectId === pid)) { currentSubs.delete(pid); } }
+  for (const [key] of currentSubs.entries()) { if (!list.find(p => p.key === key)) { currentSubs.delete(key); lastDecodeError.delete(key); lastDeviceTimeError.delete(key); lastAlertState.delete(key); lastStoredReading.delete(key); lastUpdatePush.delete(key); recentValues.delete(key); lastRateFired.delete(key); sensorStatus.delete(key); filterStates.delete(key); filterStats.delete(key); pumpStates.delete(key); forecastWindows.delete(key); forecasts.delete(key); forecastAlerts.delete(key); rehydrated.delete(key); } }
   if (requiredKeys.size === 0 && clients.size === 0) { console.warn('Bridge: no active MQTT clients (no projects with storeHistory=true and no MQTT_URL override)'); }
 }
@@ -0,0 +1,138 @@
+// --- MQTT payload decoding ---
+// Turns a raw MQTT message into { ok: true, value, ts } or { ok: false, reason }.
+// Plain payloads: the first number found in the text is the value.
+// JSON payloads (payloadIsJson): the value is picked by jsonKeyName (dot path, nested
+// objects and array indexes allowed, e.g. "data.level" or "sensors[0].level") or,
+// when no key is set, by the 1-based jsonFieldIndex over the top-level fields.
+// With displayTimeFromJson the device timestamp (jsonTimeKeyName / jsonTimeFieldIndex)
+// becomes the reading ts. Missing or unparseable timestamps, and timestamps more than
+// DEVICE_TIME_MAX_AGE_SEC (default 7 days) before or DEVICE_TIME_MAX_AHEAD_SEC (default 300)
+// after the receive time, fall back to the receive time; the result then carries `tsError`.
+
+function splitPath(path) {
+  const parts = [];
+  for (const seg of String(path).split('.')) {
+    const re = /([^[\]]+)|\[(\d+)\]/g;
+    let m;
+    while ((m = re.exec(seg)) !== null) {
+      if (m[1] !== undefined) parts.push(m[1]);
+      else parts.push(Number(m[2]));
+    }
+  }
+  return parts;
+}
+
+export function getByPath(obj, path) {
+  const parts = splitPath(path);
+  if (!parts.length) return undefined;
+  let cur = obj;
+  for (const key of parts) {
+    if (cur == null || typeof cur !== 'object') return undefined;
+    if (Array.isArray(cur)) {
+      const idx = typeof key === 'number' ? key : Number(key);
+      if (!Number.isInteger(idx)) return undefined;
+      cur = cur[idx];
+    } else {
+      cur = cur[key];
+    }
+  }
+  return cur;
+}
+
+function getByIndex(obj, index) {
+  const idx = Number.isFinite(index) ? Math.floor(index) : 1;
+  if (idx < 1) return undefined;
+  const values = Array.isArray(obj) ? obj : (obj && typeof obj === 'object' ? Object.values(obj) : []);
+  return values[idx - 1];
+}
+
+function toNumber(raw) {
+  if (typeof raw === 'number') return Number.isFinite(raw) ? raw : null;
+  if (typeof raw === 'string') {
+    const t = raw.trim();
+    if (!t.length) return null;
+    const n = Number(t);
+    return Number.isFinite(n) ? n : null;
+  }
+  return null;
+}
+
+// Accepts ISO strings, epoch seconds and epoch milliseconds (numeric or string).
+export function parseDeviceTime(raw) {
+  if (raw == null) return null;
+  const n = toNumber(raw);
+  if (n != null) {
+    // Anything below 1e11 is treated as seconds (1e11 ms is 1973, 1e11 s is year 5138)
+    const ms = Math.abs(n) < 1e11 ? n * 1000 : n;
+    const d = new Date(ms);
+    return Number.isNaN(d.getTime()) ? null : d;
+  }
+  if (typeof raw !== 'string') return null;
+  const d = new Date(raw.trim());
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+// Accepted device time range around the receive time, in seconds
+export function deviceTimeWindow(env = process.env) {
+  const sec = (v, d) => (v != null && v !== '' && Number.isFinite(Number(v)) && Number(v) >= 0 ? Number(v) : d);
+  return { maxAgeSec: sec(env.DEVICE_TIME_MAX_AGE_SEC, 7 * 86400), maxAheadSec: sec(env.DEVICE_TIME_MAX_AHEAD_SEC, 300) };
+}
+
+// Returns { ts } for a usable device timestamp, else { error } explaining why it was ignored
+export function checkDeviceTime(raw, label, receivedAt, { maxAgeSec, maxAheadSec } = deviceTimeWindow()) {
+  if (raw === undefined) return { error: `timestamp ${label} not found in JSON payload` };
+  const ts = parseDeviceTime(raw);
+  if (!ts) return { error: `timestamp ${label} is not a date (${JSON.stringify(raw)})` };
+  const skewSec = (ts.getTime() - receivedAt.getTime()) / 1000;
+  if (skewSec < -maxAgeSec) return { error: `timestamp ${ts.toISOString()} is more than ${maxAgeSec}s before the receive time` };
+  if (skewSec > maxAheadSec) return { error: `timestamp ${ts.toISOString()} is more than ${maxAheadSec}s after the receive time` };
+  return { ts };
+}
+
+function pickField(obj, keyName, fieldIndex) {
+  if (keyName) return { raw: getByPath(obj, keyName), label: `key "${keyName}"` };
+  return { raw: getByIndex(obj, fieldIndex), label: `field #${Number.isFinite(fieldIndex) ? fieldIndex : 1}` };
+}
+
+export function decodePayload(payload, opts = {}) {
+  let text;
+  try {
+    text = Buffer.isBuffer(payload) ? payload.toString('utf8') : String(payload ?? '');
+  } catch {
+    return { ok: false, reason: 'payload is not readable text' };
+  }
+  const receivedAt = opts.receivedAt instanceof Date ? opts.receivedAt : new Date();
+  if (!text.trim().length) return { ok: false, reason: 'empty payload' };
+
+  if (opts.payloadIsJson !== true) {
+    const m = text.match(/[-+]?[0-9]*\.?[0-9]+/);
+    if (!m) return { ok: false, reason: 'no number found in payload' };
+    return { ok: true, value: parseFloat(m[0]), ts: receivedAt };
+  }
+
+  let obj;
+  try {
+    obj = JSON.parse(text);
+  } catch (e) {
+    return { ok: false, reason: `invalid JSON: ${e?.message || e}` };
+  }
+  // A bare JSON number/string is accepted as the value itself
+  if (obj == null || typeof obj !== 'object') {
+    const v = toNumber(obj);
+    if (v == null) return { ok: false, reason: 'JSON payload is not an object, array or number' };
+    return { ok: true, value: v, ts: receivedAt };
+  }
+
+  const { raw, label } = pickField(obj, opts.jsonKeyName, opts.jsonFieldIndex);
+  if (raw === undefined) return { ok: false, reason: `value ${label} not found in JSON payload` };
+  const value = toNumber(raw);
+  if (value == null) return { ok: false, reason: `value ${label} is not numeric (${JSON.stringify(raw)})` };
+
+  if (opts.displayTimeFromJson === true) {
+    const t = pickField(obj, opts.jsonTimeKeyName, opts.jsonTimeFieldIndex);
+    const checked = checkDeviceTime(t.raw, t.label, receivedAt);
+    if (checked.error) return { ok: true, value, ts: receivedAt, tsError: checked.error };
+    return { ok: true, value, ts: checked.ts };
+  }
+  return { ok: true, value, ts: receivedAt };
+}
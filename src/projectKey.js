@@ -0,0 +1,13 @@
+// --- Fully qualified project keys ---
+// Project ids are generated by the app and only unique per user, so anything keyed
+// across users (bridge state, live streams) uses `${userId}::${projectId}`.
+
+export function projectKey(userId, projectId) {
+  return `${userId || ''}::${projectId}`;
+}
+
+export function parseProjectKey(key) {
+  const idx = String(key).indexOf('::');
+  if (idx < 0) return { userId: null, projectId: String(key) };
+  return { userId: key.slice(0, idx) || null, projectId: key.slice(idx + 2) };
+}
@@ -0,0 +1,104 @@
+import { normalizePressureUnit } from './sensorModel.js';
+import { normalizeThresholds, normalizeRateRules } from './alertEngine.js';
+import { normalizeSampleFilter } from './sampleFilter.js';
+
+// --- POST /projects document ---
+// The app's project sync sends the fields it knows (the first block below) on every save, so those
+// are always written. Settings managed through the API are only written when the body carries the
+// key (null clears one): a re-sync from a client that does not know them keeps what was configured.
+// The body must already be validated by the route.
+
+function has(body, key) {
+  return Object.prototype.hasOwnProperty.call(body, key);
+}
+
+// API-managed settings: key -> value for the stored document
+function apiManagedSettings(body) {
+  return {
+    sensorBlindZoneMeters: () => ((typeof body.sensorBlindZoneMeters === 'number' && body.sensorBlindZoneMeters >= 0) ? body.sensorBlindZoneMeters : null),
+    liquidDensity: () => ((typeof body.liquidDensity === 'number' && body.liquidDensity > 0) ? body.liquidDensity : null),
+    pressureUnit: () => normalizePressureUnit(body.pressureUnit),
+    emailAlertsEnabled: () => body.emailAlertsEnabled === true,
+    emailRecipients: () => (Array.isArray(body.emailRecipients) ? Array.from(new Set(body.emailRecipients.map(e => e.trim().toLowerCase()))) : []),
+    alertThresholds: () => normalizeThresholds(body.alertThresholds).thresholds,
+    rateOfChangeRules: () => normalizeRateRules(body.rateOfChangeRules).rules,
+    sampleFilter: () => normalizeSampleFilter(body.sampleFilter).filter,
+    expectedReportIntervalSec: () => ((Number.isFinite(body.expectedReportIntervalSec) && body.expectedReportIntervalSec > 0) ? Number(body.expectedReportIntervalSec) : null),
+    escalationIntervalSec: () => ((Number.isFinite(body.escalationIntervalSec) && body.escalationIntervalSec >= 0) ? Number(body.escalationIntervalSec) : null),
+    escalateAfterReminders: () => ((Number.isInteger(body.escalateAfterReminders) && body.escalateAfterReminders >= 1) ? body.escalateAfterReminders : null),
+    refillMinMeters: () => ((typeof body.refillMinMeters === 'number' && body.refillMinMeters > 0) ? body.refillMinMeters : null),
+    forecastLookbackSec: () => ((typeof body.forecastLookbackSec === 'number') ? body.forecastLookbackSec : null),
+    forecastAlertHours: () => ((typeof body.forecastAlertHours === 'number') ? body.forecastAlertHours : null),
+    autoControlPaused: () => body.autoControlPaused === true,
+    autoControlHysteresisMeters: () => ((typeof body.autoControlHysteresisMeters === 'number') ? body.autoControlHysteresisMeters : null),
+    autoControlMinDwellSec: () => ((typeof body.autoControlMinDwellSec === 'number') ? body.autoControlMinDwellSec : null),
+    autoControlMaxRunSec: () => ((typeof body.autoControlMaxRunSec === 'number') ? body.autoControlMaxRunSec : null),
+    autoControlOverrideSec: () => ((typeof body.autoControlOverrideSec === 'number') ? body.autoControlOverrideSec : null),
+    autoControlNotify: () => body.autoControlNotify === true,
+  };
+}
+
+export const API_MANAGED_PROJECT_FIELDS = Object.keys(apiManagedSettings({}));
+
+// Returns the `$set` document for a POST /projects body
+export function projectDocFromBody(body, { ownerId, secondaryContactIds = null, now = new Date() }) {
+  const doc = {
+    id: body.id,
+    name: body.name || '',
+    broker: body.broker,
+    port: Number(body.port || 1883),
+    topic: body.topic,
+    username: body.username || null,
+    password: body.password || null,
+    storeHistory: body.storeHistory === true,
+    multiplier: typeof body.multiplier === 'number' ? body.multiplier : 1,
+    offset: typeof body.offset === 'number' ? body.offset : 0,
+    sensorType: body.sensorType,
+    tankType: body.tankType,
+    alertsEnabled: body.alertsEnabled === true,
+    alertLow: (typeof body.alertLow === 'number') ? body.alertLow : null,
+    alertHigh: (typeof body.alertHigh === 'number') ? body.alertHigh : null,
+    alertCooldownSec: Number.isFinite(body.alertCooldownSec) ? Number(body.alertCooldownSec) : 1800, // default 30m
+    notifyOnRecover: body.notifyOnRecover === true,
+    alertHysteresisMeters: (typeof body.alertHysteresisMeters === 'number' && body.alertHysteresisMeters >= 0)
+      ? body.alertHysteresisMeters
+      : null,
+    noiseDeadbandMeters: (typeof body.noiseDeadbandMeters === 'number' && body.noiseDeadbandMeters >= 0)
+      ? body.noiseDeadbandMeters
+      : null,
+    // --- Extended persisted fields for cross-device sync (optional on POST) ---
+    height: (typeof body.height === 'number') ? body.height : null,
+    diameter: (typeof body.diameter === 'number') ? body.diameter : null,
+    length: (typeof body.length === 'number') ? body.length : null,
+    width: (typeof body.width === 'number') ? body.width : null,
+    wallThickness: (typeof body.wallThickness === 'number') ? body.wallThickness : null,
+    minThreshold: (typeof body.minThreshold === 'number') ? body.minThreshold : null,
+    maxThreshold: (typeof body.maxThreshold === 'number') ? body.maxThreshold : null,
+    connectedTankCount: Number.isFinite(body.connectedTankCount) ? Number(body.connectedTankCount) : 1,
+    useCustomFormula: body.useCustomFormula === true,
+    customFormula: (typeof body.customFormula === 'string' && body.customFormula.trim().length) ? body.customFormula.trim() : null,
+    useControlButton: body.useControlButton === true,
+    controlTopic: (typeof body.controlTopic === 'string' && body.controlTopic.trim().length) ? body.controlTopic.trim() : null,
+    controlMode: body.controlMode,
+    onValue: (typeof body.onValue === 'string') ? body.onValue : 'ON',
+    offValue: (typeof body.offValue === 'string') ? body.offValue : 'OFF',
+    autoControl: body.autoControl === true,
+    controlRetained: body.controlRetained === true,
+    controlQos: body.controlQos,
+    lastWillTopic: (typeof body.lastWillTopic === 'string' && body.lastWillTopic.trim().length) ? body.lastWillTopic.trim() : null,
+    payloadIsJson: body.payloadIsJson === true,
+    jsonFieldIndex: Number.isFinite(body.jsonFieldIndex) ? Number(body.jsonFieldIndex) : 1,
+    jsonKeyName: (typeof body.jsonKeyName === 'string' && body.jsonKeyName.trim().length) ? body.jsonKeyName.trim() : null,
+    displayTimeFromJson: body.displayTimeFromJson === true,
+    jsonTimeFieldIndex: Number.isFinite(body.jsonTimeFieldIndex) ? Number(body.jsonTimeFieldIndex) : 1,
+    jsonTimeKeyName: (typeof body.jsonTimeKeyName === 'string' && body.jsonTimeKeyName.trim().length) ? body.jsonTimeKeyName.trim() : null,
+    createdAt: body.createdAt ? new Date(body.createdAt) : now,
+    userId: ownerId,
+    updatedAt: now,
+  };
+  for (const [key, value] of Object.entries(apiManagedSettings(body))) {
+    if (has(body, key)) doc[key] = value();
+  }
+  if (secondaryContactIds) doc.secondaryContactIds = secondaryContactIds;
+  return doc;
+}
@@ -0,0 +1,243 @@
+// --- Readings query helpers ---
+// Shared by GET /readings and the aggregate/export endpoints.
+
+import { computeVolume } from './tankGeometry.js';
+
+const UNIT_MS = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+// "Nice" bucket sizes used for automatic bucketing
+const NICE_BUCKETS_MS = [
+  1, 5, 10, 15, 30,
+].map(n => n * UNIT_MS.s)
+  .concat([1, 2, 5, 10, 15, 30].map(n => n * UNIT_MS.m))
+  .concat([1, 2, 3, 6, 12].map(n => n * UNIT_MS.h))
+  .concat([1, 2, 7, 14, 30].map(n => n * UNIT_MS.d));
+
+export const MIN_BUCKET_MS = UNIT_MS.s;
+export const MAX_AGG_POINTS = 5000;
+
+// Builds the Mongo filter for one project. Returns { query } or { error }.
+export function buildReadingsQuery({ projectId, userId, from, to }) {
+  if (!projectId) return { error: 'projectId required' };
+  const query = { projectId, userId };
+  if (from || to) {
+    query.ts = {};
+    if (from) {
+      const d = new Date(from);
+      if (Number.isNaN(d.getTime())) return { error: 'invalid from' };
+      query.ts.$gte = d;
+    }
+    if (to) {
+      const d = new Date(to);
+      if (Number.isNaN(d.getTime())) return { error: 'invalid to' };
+      query.ts.$lte = d;
+    }
+  }
+  return { query };
+}
+
+// "90s", "5m", "1h", "1d" -> milliseconds (null if invalid)
+export function parseBucket(str) {
+  const m = /^(\d+(?:\.\d+)?)\s*([smhd])$/i.exec(String(str || '').trim());
+  if (!m) return null;
+  const ms = Math.round(Number(m[1]) * UNIT_MS[m[2].toLowerCase()]);
+  return ms >= MIN_BUCKET_MS ? ms : null;
+}
+
+export function formatBucket(ms) {
+  for (const unit of ['d', 'h', 'm', 's']) {
+    if (ms % UNIT_MS[unit] === 0) return `${ms / UNIT_MS[unit]}${unit}`;
+  }
+  return `${ms}ms`;
+}
+
+// Smallest nice bucket that keeps the range within `points` buckets.
+export function autoBucketMs(fromMs, toMs, points) {
+  const span = Math.max(0, toMs - fromMs);
+  const target = Math.max(1, Math.min(points, MAX_AGG_POINTS));
+  const raw = Math.ceil(span / target);
+  const nice = NICE_BUCKETS_MS.find(b => b >= raw);
+  return nice ?? Math.ceil(raw / UNIT_MS.d) * UNIT_MS.d;
+}
+
+// Buckets aligned to the epoch so repeated queries return stable bucket boundaries.
+export async function aggregateReadings(db, query, bucketMs) {
+  const tsMs = { $toLong: '$ts' };
+  const rows = await db.collection('readings').aggregate([
+    { $match: query },
+    { $sort: { ts: 1 } },
+    {
+      $group: {
+        _id: { $subtract: [tsMs, { $mod: [tsMs, bucketMs] }] },
+        count: { $sum: 1 },
+        min: { $min: '$levelMeters' },
+        max: { $max: '$levelMeters' },
+        avg: { $avg: '$levelMeters' },
+        first: { $first: '$levelMeters' },
+        last: { $last: '$levelMeters' },
+        firstTs: { $first: '$ts' },
+        lastTs: { $last: '$ts' },
+      },
+    },
+    { $sort: { _id: 1 } },
+    { $limit: MAX_AGG_POINTS },
+  ], { allowDiskUse: true }).toArray();
+  return rows.map(r => ({
+    ts: new Date(r._id),
+    count: r.count,
+    min: r.min,
+    max: r.max,
+    avg: r.avg,
+    first: r.first,
+    last: r.last,
+    firstTs: r.firstTs,
+    lastTs: r.lastTs,
+  }));
+}
+
+// Volume from the strapping table when present; otherwise fill missing volume from geometry.
+export function fillVolume(project, reading) {
+  if (!project) return reading;
+  const hasTable = Array.isArray(project.calibration?.points);
+  if (!hasTable && reading.totalLiters) return reading;
+  const volume = computeVolume(project, reading.levelMeters);
+  if (volume) Object.assign(reading, volume);
+  return reading;
+}
+
+export function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const tzFormatters = new Map();
+
+// ISO 8601 local time with offset in the given IANA zone, e.g. 2024-05-01T14:00:00.000+02:00
+// Wall-clock fields of `date` in `tz` plus its UTC offset in minutes
+export function zonedParts(date, tz) {
+  if (!tzFormatters.has(tz)) {
+    tzFormatters.set(tz, new Intl.DateTimeFormat('en-US', {
+      timeZone: tz, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }));
+  }
+  const parts = {};
+  for (const p of tzFormatters.get(tz).formatToParts(date)) parts[p.type] = p.value;
+  const asUtc = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second, date.getUTCMilliseconds());
+  parts.offsetMin = Math.round((asUtc - date.getTime()) / 60000);
+  return parts;
+}
+
+export function formatInTimeZone(date, tz) {
+  if (!tz || tz === 'UTC') return date.toISOString();
+  const parts = zonedParts(date, tz);
+  const ms = String(date.getUTCMilliseconds()).padStart(3, '0');
+  const offsetMin = parts.offsetMin;
+  const sign = offsetMin < 0 ? '-' : '+';
+  const abs = Math.abs(offsetMin);
+  const offset = `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}.${ms}${offset}`;
+}
+
+export const MAX_BATCH_ITEMS = 5000;
+
+// Validates one batch item into a readings document. Returns { doc } or { error }.
+export function readingFromInput(item, userId) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) return { error: 'item must be an object' };
+  const { projectId, levelMeters, percent, liquidLiters, totalLiters, ts } = item;
+  if (typeof projectId !== 'string' || !projectId.length) return { error: 'projectId required' };
+  const level = Number(levelMeters);
+  if (levelMeters == null || !Number.isFinite(level)) return { error: 'levelMeters must be a number' };
+  const when = ts == null ? new Date() : new Date(ts);
+  if (Number.isNaN(when.getTime())) return { error: 'invalid ts' };
+  const doc = { projectId, levelMeters: level, ts: when, userId };
+  for (const [key, raw] of Object.entries({ percent, liquidLiters, totalLiters })) {
+    if (raw == null) continue;
+    const n = Number(raw);
+    if (!Number.isFinite(n)) return { error: `${key} must be a number` };
+    doc[key] = n;
+  }
+  return { doc };
+}
+
+// NDJSON body -> [{ item } | { error }] per non-empty line
+export function parseNdjson(text) {
+  return String(text || '').split(/\r?\n/).filter(l => l.trim().length).map((line, i) => {
+    try {
+      return { item: JSON.parse(line) };
+    } catch (e) {
+      return { error: `line ${i + 1}: invalid JSON` };
+    }
+  });
+}
+
+// Request body (NDJSON text, array, { items }, or with allowSingle a single reading) -> entries
+export function entriesFromBody(body, allowSingle = false) {
+  if (typeof body === 'string') return parseNdjson(body);
+  if (Array.isArray(body)) return body.map(item => ({ item }));
+  if (Array.isArray(body?.items)) return body.items.map(item => ({ item }));
+  if (allowSingle && body && typeof body === 'object' && Object.keys(body).length) return [{ item: body }];
+  return [];
+}
+
+// Validates and inserts readings for one user, deduping within the batch and against
+// existing documents on (projectId, ts). entries: [{ item } | { error }].
+// overrides are applied to every item (e.g. { projectId } for device-key ingestion).
+// Returns one { index, status: 'inserted'|'duplicate'|'error', error?, projectId?, ts? } per entry.
+export async function insertReadingsBatch(db, entries, userId, overrides = null) {
+  const results = new Array(entries.length);
+  const pending = []; // { index, doc }
+  const seen = new Set();
+  entries.forEach((entry, index) => {
+    if (entry.error) { results[index] = { index, status: 'error', error: entry.error }; return; }
+    const input = overrides && entry.item && typeof entry.item === 'object' ? { ...entry.item, ...overrides } : entry.item;
+    const { doc, error } = readingFromInput(input, userId);
+    if (error) { results[index] = { index, status: 'error', error }; return; }
+    const key = `${doc.projectId}::${doc.ts.getTime()}`;
+    if (seen.has(key)) { results[index] = { index, status: 'duplicate' }; return; }
+    seen.add(key);
+    pending.push({ index, doc });
+  });
+
+  const col = db.collection('readings');
+  // Skip readings that already exist (works even where the unique index could not be built)
+  if (pending.length) {
+    const existing = await col.find(
+      { userId, $or: pending.map(p => ({ projectId: p.doc.projectId, ts: p.doc.ts })) },
+      { projection: { _id: 0, projectId: 1, ts: 1 } }
+    ).toArray();
+    const existingKeys = new Set(existing.map(r => `${r.projectId}::${new Date(r.ts).getTime()}`));
+    for (let i = pending.length - 1; i >= 0; i--) {
+      const p = pending[i];
+      if (existingKeys.has(`${p.doc.projectId}::${p.doc.ts.getTime()}`)) {
+        results[p.index] = { index: p.index, status: 'duplicate' };
+        pending.splice(i, 1);
+      }
+    }
+  }
+  if (pending.length) {
+    const failed = new Map(); // position in pending -> write error
+    try {
+      await col.insertMany(pending.map(p => p.doc), { ordered: false });
+    } catch (e) {
+      const writeErrors = e?.writeErrors || [];
+      if (!writeErrors.length) throw e;
+      for (const we of writeErrors) failed.set(we.index, we);
+    }
+    pending.forEach((p, i) => {
+      const we = failed.get(i);
+      if (!we) results[p.index] = { index: p.index, status: 'inserted', projectId: p.doc.projectId, ts: p.doc.ts };
+      else if (we.code === 11000) results[p.index] = { index: p.index, status: 'duplicate' };
+      else results[p.index] = { index: p.index, status: 'error', error: we.errmsg || 'write error' };
+    });
+  }
+  return results;
+}
+
+export function summarizeBatch(results) {
+  const count = (status) => results.filter(r => r.status === status).length;
+  return { inserted: count('inserted'), duplicates: count('duplicate'), errors: count('error') };
+}
@@ -0,0 +1,88 @@
+import { ObjectId } from 'mongodb';
+import { projectKey } from './projectKey.js';
+
+// --- Push recipients ---
+// A project's alerts go to devices of its audience: the owner (project.userId) plus users
+// listed in project.sharedWith (active members, see members.js). Within the audience, a device with no project
+// subscriptions receives every project, otherwise only the subscribed ones
+// (devices.projectIds, plus the legacy single devices.projectId).
+// Subscriptions are owner-qualified keys (projectKey(ownerId, projectId)) because project ids are only
+// unique per user; a bare id from before that is the device user's own project.
+// Devices of users outside the audience never receive anything, whatever they subscribed to.
+
+export function projectAudience(project) {
+  const ids = new Set();
+  if (project?.userId) ids.add(String(project.userId));
+  for (const uid of Array.isArray(project?.sharedWith) ? project.sharedWith : []) {
+    if (uid) ids.add(String(uid));
+  }
+  return ids;
+}
+
+// Subscription keys of a device, bare legacy ids qualified with the device's user
+export function deviceSubscriptions(device) {
+  const subs = new Set();
+  const ids = Array.isArray(device?.projectIds) ? [...device.projectIds] : [];
+  if (device?.projectId) ids.push(device.projectId);
+  for (const id of ids) {
+    if (!id) continue;
+    subs.add(String(id).includes('::') ? String(id) : projectKey(device.userId, id));
+  }
+  return subs;
+}
+
+// key: projectKey(ownerId, projectId) of the project
+export function deviceWantsProject(device, key) {
+  const subs = deviceSubscriptions(device);
+  return subs.size === 0 || subs.has(key);
+}
+
+// Pure selection step, kept separate from the query (covered by test/recipients.test.js)
+export function selectRecipientTokens(devices, project) {
+  const audience = projectAudience(project);
+  const key = projectKey(project.userId, project.projectId ?? project.id);
+  const tokens = new Set();
+  for (const d of devices || []) {
+    if (!d?.token || !d.userId || !audience.has(String(d.userId))) continue;
+    if (deviceWantsProject(d, key)) tokens.add(d.token);
+  }
+  return Array.from(tokens);
+}
+
+// project: bridge config ({ projectId, userId, sharedWith }) or a projects document
+export async function recipientTokens(db, project) {
+  const audience = Array.from(projectAudience(project));
+  if (!audience.length) return [];
+  const devices = await db.collection('devices')
+    .find({ userId: { $in: audience } }, { projection: { _id: 0, token: 1, userId: 1, projectId: 1, projectIds: 1 } })
+    .toArray();
+  return selectRecipientTokens(devices, project);
+}
+
+// --- Email recipients ---
+// With project.emailAlertsEnabled, alerts are emailed to audience users who turned email on
+// (users.emailAlerts.enabled; to emailAlerts.address or their login email) plus the project's
+// extra emailRecipients (stakeholders without an account).
+
+export function selectEmailAddresses(users, project) {
+  if (project?.emailAlertsEnabled !== true) return [];
+  const audience = projectAudience(project);
+  const out = new Set();
+  for (const u of users || []) {
+    if (!u?._id || !audience.has(String(u._id)) || u.emailAlerts?.enabled !== true) continue;
+    const addr = u.emailAlerts.address || u.email;
+    if (addr) out.add(String(addr).toLowerCase());
+  }
+  for (const addr of Array.isArray(project.emailRecipients) ? project.emailRecipients : []) {
+    if (addr) out.add(String(addr).toLowerCase());
+  }
+  return Array.from(out);
+}
+
+export async function emailAddresses(db, project) {
+  const ids = Array.from(projectAudience(project)).filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id));
+  const users = ids.length
+    ? await db.collection('users').find({ _id: { $in: ids } }, { projection: { email: 1, emailAlerts: 1 } }).toArray()
+    : [];
+  return selectEmailAddresses(users, project);
+}
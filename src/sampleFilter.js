@@ -0,0 +1,100 @@
+// --- Spike / outlier filter ---
+// Optional per-project stage between level conversion and alerting/storage:
+//   project.sampleFilter = {
+//     enforceBounds?: true,      // reject levels outside minLevelMeters..maxLevelMeters
+//     minLevelMeters?: 0, maxLevelMeters?: <tank height>,
+//     maxJumpMeters?,            // reject a sample that moved more than this from the last accepted one...
+//     jumpConfirmSamples?: 3,    // ...unless this many consecutive samples agree on the new level
+//     medianWindow?,             // odd 3..15: pass on the median of the last N accepted samples
+//     alertDebounceSamples?,     // 2..20: alert state changes need N consecutive samples in the new state
+//   }
+// Filter state is kept per project by the bridge; filterSample() mutates it.
+
+const MAX_MEDIAN_WINDOW = 15;
+const MAX_CONFIRM = 20;
+const MAX_DEBOUNCE = 20;
+
+function isNum(v) {
+  return typeof v === 'number' && Number.isFinite(v);
+}
+
+// Returns { filter } (null when not configured) or { error }.
+export function normalizeSampleFilter(input) {
+  if (input == null) return { filter: null };
+  if (typeof input !== 'object' || Array.isArray(input)) return { error: 'sampleFilter must be an object' };
+  const f = {};
+  if (input.enforceBounds != null && typeof input.enforceBounds !== 'boolean') return { error: 'sampleFilter.enforceBounds must be a boolean' };
+  f.enforceBounds = input.enforceBounds !== false;
+  for (const k of ['minLevelMeters', 'maxLevelMeters']) {
+    if (input[k] != null && !isNum(input[k])) return { error: `sampleFilter.${k} must be a number` };
+    f[k] = input[k] ?? null;
+  }
+  if (f.minLevelMeters != null && f.maxLevelMeters != null && f.minLevelMeters >= f.maxLevelMeters) {
+    return { error: 'sampleFilter.minLevelMeters must be lower than maxLevelMeters' };
+  }
+  if (input.maxJumpMeters != null && !(isNum(input.maxJumpMeters) && input.maxJumpMeters > 0)) return { error: 'sampleFilter.maxJumpMeters must be > 0' };
+  f.maxJumpMeters = input.maxJumpMeters ?? null;
+  const confirm = input.jumpConfirmSamples ?? 3;
+  if (!(Number.isInteger(confirm) && confirm >= 1 && confirm <= MAX_CONFIRM)) return { error: `sampleFilter.jumpConfirmSamples must be an integer between 1 and ${MAX_CONFIRM}` };
+  f.jumpConfirmSamples = confirm;
+  if (input.medianWindow != null && !(Number.isInteger(input.medianWindow) && input.medianWindow >= 3 && input.medianWindow <= MAX_MEDIAN_WINDOW && input.medianWindow % 2 === 1)) {
+    return { error: `sampleFilter.medianWindow must be an odd integer between 3 and ${MAX_MEDIAN_WINDOW}` };
+  }
+  f.medianWindow = input.medianWindow ?? null;
+  if (input.alertDebounceSamples != null && !(Number.isInteger(input.alertDebounceSamples) && input.alertDebounceSamples >= 1 && input.alertDebounceSamples <= MAX_DEBOUNCE)) {
+    return { error: `sampleFilter.alertDebounceSamples must be an integer between 1 and ${MAX_DEBOUNCE}` };
+  }
+  f.alertDebounceSamples = input.alertDebounceSamples ?? null;
+  return { filter: f };
+}
+
+export function createFilterState() {
+  return { window: [], lastAccepted: null, jumpRun: [], pendingState: null };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Returns { ok: true, value } or { ok: false, reason: 'bounds' | 'jump', detail }.
+export function filterSample(state, v, filter, tankHeight) {
+  if (!filter) return { ok: true, value: v };
+  if (filter.enforceBounds) {
+    const min = filter.minLevelMeters ?? 0;
+    const max = filter.maxLevelMeters ?? (tankHeight > 0 ? tankHeight : Infinity);
+    if (v < min || v > max) return { ok: false, reason: 'bounds', detail: `level ${v} outside ${min}..${max}` };
+  }
+  if (filter.maxJumpMeters != null && state.lastAccepted != null && Math.abs(v - state.lastAccepted) > filter.maxJumpMeters) {
+    state.jumpRun.push(v);
+    if (state.jumpRun.length > filter.jumpConfirmSamples) state.jumpRun.shift();
+    const spread = Math.max(...state.jumpRun) - Math.min(...state.jumpRun);
+    if (state.jumpRun.length < filter.jumpConfirmSamples || spread > filter.maxJumpMeters) {
+      return { ok: false, reason: 'jump', detail: `jump of ${Math.abs(v - state.lastAccepted).toFixed(3)} m > ${filter.maxJumpMeters} m` };
+    }
+    // Consecutive samples agree: the level really moved, so restart from here
+    state.window = [];
+  }
+  state.jumpRun = [];
+  state.lastAccepted = v;
+  if (!filter.medianWindow) return { ok: true, value: v };
+  state.window.push(v);
+  if (state.window.length > filter.medianWindow) state.window.splice(0, state.window.length - filter.medianWindow);
+  return { ok: true, value: median(state.window) };
+}
+
+// Holds prevState until `samples` consecutive evaluations agree on the same new state.
+export function debounceState(state, prevState, nextState, samples) {
+  if (!samples || samples <= 1 || nextState === prevState) {
+    state.pendingState = null;
+    return nextState;
+  }
+  const pending = state.pendingState?.state === nextState ? state.pendingState.count + 1 : 1;
+  if (pending >= samples) {
+    state.pendingState = null;
+    return nextState;
+  }
+  state.pendingState = { state: nextState, count: pending };
+  return prevState;
+}
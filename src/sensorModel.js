@@ -0,0 +1,50 @@
+// --- Sensor models ---
+// Converts the scaled sensor measurement into a liquid level (meters above the tank bottom)
+// based on the project's sensorType:
+//   level    (default)                  value already is the level
+//   distance (ultrasonic/radar/laser)   top-mounted; level = height - distance, readings
+//                                       closer than sensorBlindZoneMeters are rejected
+//   pressure (pressure/hydrostatic)     bottom-mounted; level = P / (density * g)
+// Returns { ok: true, value } or { ok: false, reason } like decodePayload.
+
+const G = 9.80665;
+
+const DISTANCE_TYPES = ['ultrasonic', 'radar', 'laser', 'lidar', 'distance', 'tof'];
+const PRESSURE_TYPES = ['pressure', 'hydrostatic'];
+
+// Multipliers to Pascal
+export const PRESSURE_UNITS = { pa: 1, hpa: 100, kpa: 1000, mbar: 100, bar: 100000, psi: 6894.757, mh2o: 9806.65 };
+
+export function normalizeSensorType(sensorType) {
+  if (typeof sensorType !== 'string') return 'level';
+  const key = sensorType.toLowerCase().replace(/[^a-z]/g, '');
+  if (DISTANCE_TYPES.some(t => key.includes(t))) return 'distance';
+  if (PRESSURE_TYPES.some(t => key.includes(t))) return 'pressure';
+  return 'level';
+}
+
+export function normalizePressureUnit(unit) {
+  if (typeof unit !== 'string') return null;
+  const key = unit.toLowerCase().replace(/[^a-z0-9]/g, '');
+  return Object.prototype.hasOwnProperty.call(PRESSURE_UNITS, key) ? key : null;
+}
+
+// tankHeight: usable inner height in meters (geometry height, falls back to project height)
+export function toLevelMeters(measured, opts = {}, tankHeight = null) {
+  const mode = normalizeSensorType(opts.sensorType);
+  if (mode === 'level') return { ok: true, value: measured };
+
+  if (mode === 'distance') {
+    const height = (typeof tankHeight === 'number' && tankHeight > 0) ? tankHeight : null;
+    if (height == null) return { ok: false, reason: 'distance sensor requires tank height' };
+    const blind = (typeof opts.sensorBlindZoneMeters === 'number' && opts.sensorBlindZoneMeters > 0) ? opts.sensorBlindZoneMeters : 0;
+    if (measured < blind) return { ok: false, reason: `distance ${measured} m is inside blind zone (${blind} m)` };
+    const level = height - measured;
+    return { ok: true, value: Math.min(Math.max(level, 0), height) };
+  }
+
+  const unit = normalizePressureUnit(opts.pressureUnit) || 'kpa';
+  const density = (typeof opts.liquidDensity === 'number' && opts.liquidDensity > 0) ? opts.liquidDensity : 1000;
+  const level = (measured * PRESSURE_UNITS[unit]) / (density * G);
+  return { ok: true, value: Math.max(level, 0) };
+}
@@ -0,0 +1,122 @@
+// --- Tank geometry ---
+// Converts a liquid level (meters above the inner tank bottom) to volume using the
+// project's tankType and dimensions (meters). Supported shapes: vertical cylinder,
+// horizontal cylinder and rectangular. wallThickness is subtracted on each side of
+// diameter/length/width; connectedTankCount > 1 models identical tanks joined at the
+// base (same level in each), so volumes are multiplied by the count.
+// A project strapping table (calibration.points) takes precedence over the formulas.
+
+import { interpolateLiters } from './calibration.js';
+
+const TANK_TYPE_ALIASES = {
+  verticalcylinder: 'verticalCylinder',
+  cylinder: 'verticalCylinder',
+  cylindrical: 'verticalCylinder',
+  vertical: 'verticalCylinder',
+  horizontalcylinder: 'horizontalCylinder',
+  horizontal: 'horizontalCylinder',
+  rectangular: 'rectangular',
+  rectangle: 'rectangular',
+  rectangulartank: 'rectangular',
+  box: 'rectangular',
+  cuboid: 'rectangular',
+};
+
+export function normalizeTankType(tankType) {
+  if (typeof tankType !== 'string') return null;
+  const key = tankType.toLowerCase().replace(/[^a-z]/g, '');
+  return TANK_TYPE_ALIASES[key] || null;
+}
+
+function positive(v) {
+  return typeof v === 'number' && Number.isFinite(v) && v > 0 ? v : null;
+}
+
+function round(v, digits) {
+  const f = 10 ** digits;
+  return Math.round(v * f) / f;
+}
+
+// Inner dimensions after wall thickness; null when the shape is unknown or incomplete.
+export function resolveGeometry(project) {
+  const type = normalizeTankType(project?.tankType);
+  if (!type) return null;
+  const wall = (typeof project.wallThickness === 'number' && project.wallThickness > 0) ? project.wallThickness : 0;
+  const inner = (v) => { const p = positive(v); return p == null ? null : positive(p - 2 * wall); };
+  const count = Number.isFinite(project.connectedTankCount) && project.connectedTankCount >= 1
+    ? Math.floor(project.connectedTankCount)
+    : 1;
+  if (type === 'verticalCylinder') {
+    const diameter = inner(project.diameter);
+    const height = positive(project.height);
+    if (!diameter || !height) return null;
+    return { type, diameter, height, count };
+  }
+  if (type === 'horizontalCylinder') {
+    const diameter = inner(project.diameter);
+    const length = inner(project.length);
+    if (!diameter || !length) return null;
+    return { type, diameter, length, height: diameter, count };
+  }
+  const length = inner(project.length);
+  const width = inner(project.width);
+  const height = positive(project.height);
+  if (!length || !width || !height) return null;
+  return { type, length, width, height, count };
+}
+
+// Volume of a single tank (m³) filled to level h, clamped to [0, height].
+function singleVolumeM3(g, h) {
+  const level = Math.min(Math.max(h, 0), g.height);
+  if (g.type === 'verticalCylinder') {
+    const r = g.diameter / 2;
+    return Math.PI * r * r * level;
+  }
+  if (g.type === 'horizontalCylinder') {
+    const r = g.diameter / 2;
+    // Circular segment area of height `level`
+    const area = r * r * Math.acos((r - level) / r) - (r - level) * Math.sqrt(Math.max(0, 2 * r * level - level * level));
+    return area * g.length;
+  }
+  return g.length * g.width * level;
+}
+
+// Usable inner height: geometry height (diameter for horizontal cylinders) or project height.
+export function tankHeightMeters(project) {
+  const g = project?.geometry !== undefined ? project.geometry : resolveGeometry(project);
+  return g?.height ?? positive(project?.height);
+}
+
+export function tankCapacityLiters(geometry) {
+  if (!geometry) return null;
+  return singleVolumeM3(geometry, geometry.height) * geometry.count * 1000;
+}
+
+export function liquidLitersAtLevel(geometry, levelMeters) {
+  if (!geometry || !Number.isFinite(levelMeters)) return null;
+  return singleVolumeM3(geometry, levelMeters) * geometry.count * 1000;
+}
+
+// { percent, liquidLiters, totalLiters } for a level, or null without usable geometry.
+export function computeVolume(project, levelMeters) {
+  if (!Number.isFinite(levelMeters)) return null;
+  const points = project?.calibration?.points;
+  let totalLiters;
+  let liquidLiters;
+  if (Array.isArray(points) && points.length >= 2) {
+    const height = tankHeightMeters(project) ?? points[points.length - 1].levelMeters;
+    totalLiters = interpolateLiters(points, height);
+    liquidLiters = interpolateLiters(points, Math.min(levelMeters, height));
+  } else {
+    const g = project?.geometry !== undefined ? project.geometry : resolveGeometry(project);
+    if (!g) return null;
+    totalLiters = tankCapacityLiters(g);
+    liquidLiters = liquidLitersAtLevel(g, levelMeters);
+  }
+  if (!totalLiters) return null;
+  return {
+    percent: round((liquidLiters / totalLiters) * 100, 2),
+    liquidLiters: round(liquidLiters, 3),
+    totalLiters: round(totalLiters, 3),
+  };
+}
@@ -0,0 +1,15 @@
+import crypto from 'node:crypto';
+
+// --- Webhook signatures ---
+// Kept free of db/config imports so receivers (scripts/webhook_receiver.js) can use the same check.
+
+export function signWebhookBody(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Constant-time check, as receivers should do it
+export function verifyWebhookSignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(signWebhookBody(secret, timestamp, body));
+  const given = Buffer.from(String(signature || ''));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
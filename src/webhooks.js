@@ -0,0 +1,285 @@
+import crypto from 'node:crypto';
+import dns from 'node:dns';
+import http from 'node:http';
+import https from 'node:https';
+import net from 'node:net';
+import { ObjectId } from 'mongodb';
+import dotenv from 'dotenv';
+import { getDb } from './db.js';
+import { signWebhookBody } from './webhookSignature.js';
+
+export { signWebhookBody, verifyWebhookSignature } from './webhookSignature.js';
+
+dotenv.config();
+
+// --- Webhooks ---
+// Per-project HTTP callbacks next to FCM. Each alert transition (event 'alert'), rate-of-change
+// hit ('rate'), sensor connectivity change ('connectivity') and predicted low ('forecast') creates one delivery per matching
+// webhook in `webhookDeliveries` (test deliveries use event 'ping'). A delivery is a JSON POST signed with
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256(secret, "<timestamp>.<body>")>
+//   X-Webhook-Timestamp: <unix seconds>, X-Webhook-Event, X-Webhook-Delivery
+// Any 2xx response is success; anything else is retried with exponential backoff
+// (WEBHOOK_RETRY_BASE_SEC, doubling, up to WEBHOOK_MAX_ATTEMPTS attempts).
+// Urls must resolve to public addresses (checked on save and again on every attempt, at connect
+// time); WEBHOOK_ALLOWED_HOSTS lists hosts exempt from this, e.g. localhost for the local receiver.
+
+export const WEBHOOK_EVENTS = ['alert', 'rate', 'connectivity', 'forecast'];
+const SECRET_PREFIX = 'whsec_';
+const maxAttempts = Math.max(1, Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6));
+const retryBaseSec = Math.max(1, Number(process.env.WEBHOOK_RETRY_BASE_SEC || 30));
+const timeoutMs = Math.max(1000, Number(process.env.WEBHOOK_TIMEOUT_MS || 10000));
+const tickMs = Math.max(1000, Number(process.env.WEBHOOK_TICK_MS || 15000));
+const allowedHosts = new Set(String(process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',').map(h => h.trim().toLowerCase().replace(/^\[|\]$/g, '')).filter(Boolean));
+let loopStarted = false;
+
+export function generateWebhookId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+export function generateWebhookSecret() {
+  return SECRET_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+// Delay before attempt n+1 after n failed attempts (n >= 1)
+export function retryDelayMs(attempts) {
+  return retryBaseSec * 1000 * 2 ** Math.max(0, attempts - 1);
+}
+
+// --- Target checks ---
+// Loopback, private, link-local and other non-public ranges (BlockList also applies the IPv4 rules
+// to IPv4-mapped IPv6 addresses)
+const blockedAddresses = new net.BlockList();
+for (const [net4, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]]) {
+  blockedAddresses.addSubnet(net4, prefix, 'ipv4');
+}
+for (const [net6, prefix] of [['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  blockedAddresses.addSubnet(net6, prefix, 'ipv6');
+}
+
+export function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return blockedAddresses.check(address, 'ipv4');
+  if (family === 6) return blockedAddresses.check(address, 'ipv6');
+  return true;
+}
+
+function hostAllowed(hostname) {
+  return allowedHosts.has(String(hostname).toLowerCase().replace(/^\[|\]$/g, ''));
+}
+
+// Resolves the url host and rejects non-public addresses. Returns an error string or null.
+export async function checkWebhookTarget(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  if (hostAllowed(host)) return null;
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch (e) {
+    return `url host ${host} does not resolve (${e?.code || e?.message})`;
+  }
+  const blocked = addresses.find(a => isBlockedAddress(a.address));
+  return blocked ? `url host ${host} resolves to a non-public address (${blocked.address})` : null;
+}
+
+// dns.lookup for the delivery request: re-checks the addresses actually connected to, so a
+// host cannot switch to an internal address between the check and the request
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = hostAllowed(hostname) ? null : addresses.find(a => isBlockedAddress(a.address));
+    if (blocked) return callback(new Error(`url host ${hostname} resolves to a non-public address (${blocked.address})`));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// POSTs the body and resolves with the response status code; the response body is discarded.
+// No redirects are followed.
+function postWebhook(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    const req = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: guardedLookup,
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+      res.on('error', reject);
+    });
+    const timer = setTimeout(() => req.destroy(new Error(`timeout after ${timeoutMs} ms`)), timeoutMs);
+    req.on('close', () => clearTimeout(timer));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// Validates a create/update body. Returns { fields } or { error }; `partial` allows omitted fields.
+export async function normalizeWebhookInput(body, partial = false) {
+  const fields = {};
+  if (body.url != null || !partial) {
+    let url;
+    try { url = new URL(String(body.url || '')); } catch { return { error: 'url must be an absolute http(s) URL' }; }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return { error: 'url must be an absolute http(s) URL' };
+    const targetError = await checkWebhookTarget(url.toString());
+    if (targetError) return { error: targetError };
+    fields.url = url.toString();
+  }
+  if (body.events != null || !partial) {
+    const events = body.events == null ? WEBHOOK_EVENTS : body.events;
+    if (!Array.isArray(events) || !events.length || events.some(e => !WEBHOOK_EVENTS.includes(e))) {
+      return { error: `events must be a non-empty array of ${WEBHOOK_EVENTS.join(', ')}` };
+    }
+    fields.events = Array.from(new Set(events));
+  }
+  if (body.description != null) {
+    if (typeof body.description !== 'string') return { error: 'description must be a string' };
+    fields.description = body.description.trim().slice(0, 200);
+  } else if (!partial) fields.description = '';
+  if (body.enabled != null) {
+    if (typeof body.enabled !== 'boolean') return { error: 'enabled must be a boolean' };
+    fields.enabled = body.enabled;
+  } else if (!partial) fields.enabled = true;
+  return { fields };
+}
+
+// Public view of a webhook document (the secret is only returned at creation/rotation)
+export function describeWebhook(doc) {
+  return {
+    webhookId: doc.webhookId,
+    projectId: doc.projectId,
+    url: doc.url,
+    events: doc.events,
+    description: doc.description || '',
+    enabled: doc.enabled !== false,
+    secretPrefix: doc.secret ? doc.secret.slice(0, SECRET_PREFIX.length + 4) : null,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt || null,
+  };
+}
+
+function newDelivery(hook, event, data, now = new Date()) {
+  return {
+    _id: new ObjectId(),
+    webhookId: hook.webhookId,
+    userId: hook.userId,
+    projectId: hook.projectId,
+    event,
+    payload: { event, projectId: hook.projectId, data, createdAt: now.toISOString() },
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: now,
+    lastStatusCode: null,
+    lastError: null,
+    createdAt: now,
+    deliveredAt: null,
+  };
+}
+
+// Queues a delivery to every enabled webhook of the project subscribed to `event`, then tries
+// each once right away. Never throws: webhook problems must not break the bridge.
+export async function enqueueWebhookEvent(db, { userId, projectId, event, data }) {
+  try {
+    const hooks = await db.collection('webhooks').find({ userId, projectId, enabled: true, events: event }).toArray();
+    if (!hooks.length) return [];
+    const now = new Date();
+    const docs = hooks.map(h => newDelivery(h, event, data, now));
+    await db.collection('webhookDeliveries').insertMany(docs);
+    for (const d of docs) attemptDelivery(db, d).catch(e => console.error('Webhook delivery error', e?.message || e));
+    return docs.map(d => d._id);
+  } catch (e) {
+    console.error('Webhook enqueue error', e?.message || e);
+    return [];
+  }
+}
+
+// Sends a 'ping' delivery to one webhook and waits for the first attempt (retried like any other)
+export async function sendTestDelivery(db, hook) {
+  const doc = newDelivery(hook, 'ping', { message: 'Webhook test', webhookId: hook.webhookId });
+  await db.collection('webhookDeliveries').insertOne(doc);
+  const result = await attemptDelivery(db, doc);
+  return { deliveryId: String(doc._id), ...result };
+}
+
+// One POST attempt. Claims the delivery by bumping `attempts` so overlapping ticks never send twice.
+export async function attemptDelivery(db, delivery) {
+  const col = db.collection('webhookDeliveries');
+  const attempts = (delivery.attempts || 0) + 1;
+  const claimed = await col.updateOne(
+    { _id: delivery._id, status: 'pending', attempts: delivery.attempts || 0 },
+    // If the process dies mid-request the tick picks it up again after this
+    { $set: { attempts, lastAttemptAt: new Date(), nextAttemptAt: new Date(Date.now() + timeoutMs + retryDelayMs(attempts)) } }
+  );
+  if (!claimed.modifiedCount) return null;
+  const hook = await db.collection('webhooks').findOne({ webhookId: delivery.webhookId, userId: delivery.userId });
+  if (!hook) {
+    await col.updateOne({ _id: delivery._id }, { $set: { status: 'failed', lastError: 'webhook deleted' } });
+    return { ok: false, error: 'webhook deleted' };
+  }
+  const body = JSON.stringify({ id: String(delivery._id), ...delivery.payload });
+  const timestamp = Math.floor(Date.now() / 1000);
+  let statusCode = null;
+  let error = await checkWebhookTarget(hook.url);
+  if (!error) {
+    try {
+      statusCode = await postWebhook(hook.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'liquidlevel-webhooks/1',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery._id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signWebhookBody(hook.secret, timestamp, body),
+      }, body);
+      if (statusCode < 200 || statusCode >= 300) error = `HTTP ${statusCode}`;
+    } catch (e) {
+      error = e?.message || String(e);
+    }
+  }
+  const ok = !error;
+  const failed = !ok && attempts >= maxAttempts;
+  await col.updateOne({ _id: delivery._id }, {
+    $set: {
+      status: ok ? 'success' : failed ? 'failed' : 'pending',
+      lastStatusCode: statusCode,
+      lastError: error,
+      deliveredAt: ok ? new Date() : null,
+      nextAttemptAt: ok || failed ? null : new Date(Date.now() + retryDelayMs(attempts)),
+    },
+  });
+  return { ok, statusCode, error };
+}
+
+// Resets a delivery (any status) and sends it again now with a fresh attempt budget.
+// `owner` scopes the lookup ({ webhookId, projectId, userId }). Returns { ok, status?, error?, result? }.
+export async function redeliverById(db, deliveryId, owner) {
+  if (!ObjectId.isValid(deliveryId)) return { ok: false, status: 400, error: 'invalid delivery id' };
+  const col = db.collection('webhookDeliveries');
+  const _id = new ObjectId(deliveryId);
+  const delivery = await col.findOne({ _id, ...owner });
+  if (!delivery) return { ok: false, status: 404, error: 'delivery not found' };
+  await col.updateOne({ _id }, { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() } });
+  const result = await attemptDelivery(db, { ...delivery, status: 'pending', attempts: 0 });
+  if (!result) return { ok: false, status: 409, error: 'delivery is already being sent' };
+  return { ok: true, result };
+}
+
+export async function runWebhookTick() {
+  const db = await getDb();
+  const due = await db.collection('webhookDeliveries')
+    .find({ status: 'pending', nextAttemptAt: { $ne: null, $lte: new Date() } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(50)
+    .toArray();
+  for (const d of due) {
+    try { await attemptDelivery(db, d); } catch (e) { console.error('Webhook retry error', e?.message || e); }
+  }
+}
+
+export function startWebhookLoop() {
+  if (loopStarted) return;
+  loopStarted = true;
+  setInterval(() => runWebhookTick().catch(e => console.error('Webhook tick error', e?.message || e)), tickMs);
+}
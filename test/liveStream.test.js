@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { publishLiveEvent, replayLiveEvents } from '../src/liveStream.js';
+
+test('event ids are increasing publish times', () => {
+  const before = Date.now();
+  const a = publishLiveEvent('owner', 'ids', 'reading', {});
+  const b = publishLiveEvent('owner', 'ids', 'reading', {});
+  assert.ok(a.id >= before);
+  assert.ok(b.id > a.id);
+});
+
+test('replay within the buffer is complete', () => {
+  const first = publishLiveEvent('owner', 'tank1', 'reading', { n: 1 });
+  const second = publishLiveEvent('owner', 'tank1', 'alert', { n: 2 });
+  const { events, complete } = replayLiveEvents('owner', 'tank1', first.id);
+  assert.equal(complete, true);
+  assert.deepEqual(events.map(e => e.id), [second.id]);
+});
+
+test('ids from before this process started are reported as a gap', () => {
+  publishLiveEvent('owner', 'tank2', 'reading', {});
+  const { events, complete } = replayLiveEvents('owner', 'tank2', Date.now() - 86400000);
+  assert.equal(complete, false);
+  assert.equal(events.length, 1);
+});
+
+test('ids older than the buffer are reported as a gap', () => {
+  const first = publishLiveEvent('owner', 'tank3', 'reading', {});
+  for (let i = 0; i < 101; i++) publishLiveEvent('owner', 'tank3', 'reading', { i });
+  // The buffer (LIVE_BUFFER_SIZE, 100) dropped `first` and the event after it
+  assert.equal(replayLiveEvents('owner', 'tank3', first.id).complete, false);
+});
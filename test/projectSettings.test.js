@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { projectDocFromBody, API_MANAGED_PROJECT_FIELDS } from '../src/projectSettings.js';
+
+// What the app's project sync sends: only the fields it knows
+const appBody = {
+  id: 'tank1', name: 'Tank', broker: 'broker.example.com', port: 1883, topic: 'tank/level',
+  storeHistory: true, alertsEnabled: true, alertLow: 0.5, alertHigh: 2, minThreshold: 0.8, maxThreshold: 1.8,
+  useControlButton: true, controlTopic: 'tank/pump', controlMode: 'toggle', autoControl: true,
+};
+
+const apiSettings = {
+  sensorBlindZoneMeters: 0.2, liquidDensity: 1030, pressureUnit: 'bar',
+  emailAlertsEnabled: true, emailRecipients: ['Ops@Example.com'],
+  alertThresholds: [{ name: 'low', direction: 'below', level: 0.5 }],
+  rateOfChangeRules: [{ name: 'leak', direction: 'drop', deltaMeters: 0.1, windowSec: 600 }],
+  sampleFilter: { maxJumpMeters: 0.3 },
+  expectedReportIntervalSec: 300, escalationIntervalSec: 600, escalateAfterReminders: 3,
+  refillMinMeters: 0.1, forecastLookbackSec: 7200, forecastAlertHours: 12,
+  autoControlPaused: true, autoControlHysteresisMeters: 0.05, autoControlMinDwellSec: 120,
+  autoControlMaxRunSec: 1800, autoControlOverrideSec: 900, autoControlNotify: true,
+};
+
+// Applies a $set like MongoDB does
+const save = (stored, doc) => ({ ...stored, ...doc });
+
+test('the API settings fixture covers every API-managed field', () => {
+  assert.deepEqual(Object.keys(apiSettings).sort(), [...API_MANAGED_PROJECT_FIELDS].sort());
+});
+
+test('an app re-sync without the API-managed fields keeps them', () => {
+  const configured = save({}, projectDocFromBody({ ...appBody, ...apiSettings }, { ownerId: 'owner', secondaryContactIds: ['member'] }));
+  const resynced = save(configured, projectDocFromBody({ ...appBody, name: 'Renamed' }, { ownerId: 'owner' }));
+  assert.equal(resynced.name, 'Renamed');
+  for (const key of API_MANAGED_PROJECT_FIELDS) assert.deepEqual(resynced[key], configured[key], key);
+  assert.deepEqual(resynced.secondaryContactIds, ['member']);
+  assert.deepEqual(resynced.emailRecipients, ['ops@example.com']);
+  assert.equal(resynced.pressureUnit, 'bar');
+});
+
+test('app fields are stored as sent', () => {
+  const doc = projectDocFromBody(appBody, { ownerId: 'owner' });
+  assert.equal(doc.controlMode, 'toggle');
+  assert.equal(doc.userId, 'owner');
+  for (const key of API_MANAGED_PROJECT_FIELDS) assert.equal(key in doc, false, key);
+});
+
+test('null clears an API-managed setting', () => {
+  const configured = save({}, projectDocFromBody({ ...appBody, ...apiSettings }, { ownerId: 'owner' }));
+  const cleared = save(configured, projectDocFromBody({ ...appBody, forecastAlertHours: null, sampleFilter: null }, { ownerId: 'owner' }));
+  assert.equal(cleared.forecastAlertHours, null);
+  assert.equal(cleared.sampleFilter, null);
+  assert.equal(cleared.refillMinMeters, 0.1);
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { projectAudience, deviceSubscriptions, deviceWantsProject, selectRecipientTokens, recipientTokens } from '../src/recipients.js';
+
+const project = { projectId: 'tank1', userId: 'owner', sharedWith: ['member'] };
+
+test('audience is the owner plus sharedWith', () => {
+  assert.deepEqual(Array.from(projectAudience(project)).sort(), ['member', 'owner']);
+  assert.deepEqual(Array.from(projectAudience({ userId: 'owner' })), ['owner']);
+});
+
+test('devices registered to another user get nothing, whatever they subscribed to', () => {
+  const devices = [
+    { token: 'stranger-all', userId: 'stranger' },
+    { token: 'stranger-sub', userId: 'stranger', projectIds: ['owner::tank1'] },
+    { token: 'stranger-legacy', userId: 'stranger', projectId: 'tank1' },
+    { token: 'anonymous', projectIds: ['tank1'] },
+  ];
+  assert.deepEqual(selectRecipientTokens(devices, project), []);
+});
+
+test('sharedWith members receive the project alerts', () => {
+  const devices = [
+    { token: 'owner-phone', userId: 'owner' },
+    { token: 'member-phone', userId: 'member' },
+  ];
+  assert.deepEqual(selectRecipientTokens(devices, project).sort(), ['member-phone', 'owner-phone']);
+  assert.deepEqual(selectRecipientTokens(devices, { ...project, sharedWith: [] }), ['owner-phone']);
+});
+
+test('subscribed devices only receive their projects', () => {
+  const devices = [
+    { token: 'sub-tank1', userId: 'owner', projectIds: ['owner::tank1', 'owner::tank2'] },
+    { token: 'sub-tank2', userId: 'owner', projectIds: ['owner::tank2'] },
+    { token: 'member-sub', userId: 'member', projectIds: ['owner::tank1'] },
+    { token: 'unsubscribed', userId: 'member', projectIds: [] },
+  ];
+  assert.deepEqual(selectRecipientTokens(devices, project).sort(), ['member-sub', 'sub-tank1', 'unsubscribed']);
+});
+
+test('subscriptions match the owner as well as the project id', () => {
+  // member owns a "tank1" too; their subscription to it must not pull in owner's shared "tank1"
+  const devices = [
+    { token: 'own-tank1', userId: 'member', projectIds: ['member::tank1'] },
+    { token: 'own-tank1-legacy', userId: 'member', projectIds: ['tank1'] },
+    { token: 'shared-tank1', userId: 'member', projectIds: ['owner::tank1'] },
+  ];
+  assert.deepEqual(selectRecipientTokens(devices, project), ['shared-tank1']);
+  assert.deepEqual(selectRecipientTokens(devices, { projectId: 'tank1', userId: 'member' }).sort(), ['own-tank1', 'own-tank1-legacy']);
+  assert.equal(deviceWantsProject({ userId: 'member', projectIds: ['tank1'] }, 'owner::tank1'), false);
+});
+
+test('legacy bare ids are the device user\'s own projects', () => {
+  assert.deepEqual(Array.from(deviceSubscriptions({ userId: 'owner', projectId: 'tank1', projectIds: ['tank2', 'other::tank3'] })).sort(),
+    ['other::tank3', 'owner::tank1', 'owner::tank2']);
+  assert.equal(deviceWantsProject({ userId: 'owner', projectId: 'tank1' }, 'owner::tank1'), true);
+  assert.equal(deviceWantsProject({ userId: 'owner', projectId: 'tank2' }, 'owner::tank1'), false);
+  assert.equal(deviceWantsProject({ userId: 'owner', projectId: 'tank2', projectIds: ['owner::tank1'] }, 'owner::tank1'), true);
+  const devices = [
+    { token: 'legacy-tank1', userId: 'owner', projectId: 'tank1' },
+    { token: 'legacy-tank2', userId: 'member', projectId: 'tank2' },
+  ];
+  assert.deepEqual(selectRecipientTokens(devices, project), ['legacy-tank1']);
+});
+
+test('projects documents use id, and tokens are deduplicated', () => {
+  const doc = { id: 'tank1', userId: 'owner' };
+  const devices = [
+    { token: 'same', userId: 'owner', projectIds: ['owner::tank1'] },
+    { token: 'same', userId: 'owner', projectId: 'tank1' },
+    { token: '', userId: 'owner', projectIds: ['owner::tank1'] },
+  ];
+  assert.deepEqual(selectRecipientTokens(devices, doc), ['same']);
+});
+
+test('recipientTokens only queries devices of the audience', async () => {
+  let filter = null;
+  const db = {
+    collection: () => ({
+      find: (f) => {
+        filter = f;
+        return { toArray: async () => [{ token: 'owner-phone', userId: 'owner' }, { token: 'stranger', userId: 'stranger' }] };
+      },
+    }),
+  };
+  assert.deepEqual(await recipientTokens(db, project), ['owner-phone']);
+  assert.deepEqual(filter.userId.$in.sort(), ['member', 'owner']);
+  assert.deepEqual(await recipientTokens(db, {}), []);
+});
@@ -0,0 +1,90 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+// webhooks.js pulls in db.js (which needs a URI, but never connects here); the local
+// receiver is only reachable because WEBHOOK_ALLOWED_HOSTS exempts it from the SSRF guard.
+process.env.MONGODB_URI ||= 'mongodb://127.0.0.1:1';
+process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+const { attemptDelivery, signWebhookBody, verifyWebhookSignature } = await import('../src/webhooks.js');
+
+const secret = 'whsec_test';
+const received = [];
+let failNext = 0;
+let server;
+let url;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(failNext-- > 0 ? 503 : 200);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}/hook`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+// Just enough of the db for attemptDelivery: the claim always succeeds, updates are recorded
+function fakeDb(updates) {
+  return {
+    collection: () => ({
+      updateOne: async (filter, update) => { updates.push(update.$set); return { modifiedCount: 1 }; },
+      findOne: async () => ({ url, secret }),
+    }),
+  };
+}
+
+function delivery(attempts = 0) {
+  return { _id: 'd'.repeat(24), attempts, event: 'alert', webhookId: 'w1', userId: 'owner', payload: { event: 'alert', projectId: 'tank1' } };
+}
+
+test('signature helpers round-trip', () => {
+  const sig = signWebhookBody(secret, 1700000000, '{"a":1}');
+  assert.match(sig, /^sha256=[0-9a-f]{64}$/);
+  assert.equal(verifyWebhookSignature(secret, 1700000000, '{"a":1}', sig), true);
+  assert.equal(verifyWebhookSignature(secret, 1700000001, '{"a":1}', sig), false);
+  assert.equal(verifyWebhookSignature('whsec_other', 1700000000, '{"a":1}', sig), false);
+  assert.equal(verifyWebhookSignature(secret, 1700000000, '{"a":1}', undefined), false);
+});
+
+test('deliveries carry a verifiable HMAC signature', async () => {
+  received.length = 0;
+  failNext = 0;
+  const updates = [];
+  const result = await attemptDelivery(fakeDb(updates), delivery());
+  assert.deepEqual(result, { ok: true, statusCode: 200, error: null });
+  assert.equal(received.length, 1);
+  const { headers, body } = received[0];
+  assert.equal(headers['x-webhook-event'], 'alert');
+  assert.equal(headers['x-webhook-delivery'], 'd'.repeat(24));
+  assert.equal(headers['x-webhook-signature'], signWebhookBody(secret, headers['x-webhook-timestamp'], body));
+  assert.equal(verifyWebhookSignature(secret, headers['x-webhook-timestamp'], body, headers['x-webhook-signature']), true);
+  assert.deepEqual(JSON.parse(body), { id: 'd'.repeat(24), event: 'alert', projectId: 'tank1' });
+  assert.equal(updates.at(-1).status, 'success');
+});
+
+test('a 5xx response is retried later, then succeeds', async () => {
+  received.length = 0;
+  failNext = 1;
+  const updates = [];
+  const db = fakeDb(updates);
+
+  const first = await attemptDelivery(db, delivery(0));
+  assert.deepEqual(first, { ok: false, statusCode: 503, error: 'HTTP 503' });
+  const retry = updates.at(-1);
+  assert.equal(retry.status, 'pending');
+  assert.ok(retry.nextAttemptAt > new Date());
+
+  const second = await attemptDelivery(db, delivery(1));
+  assert.equal(second.ok, true);
+  assert.equal(updates.at(-1).status, 'success');
+  assert.equal(received.length, 2);
+  assert.equal(received[1].headers['x-webhook-delivery'], received[0].headers['x-webhook-delivery']);
+});